@@ -0,0 +1,21 @@
+'use strict';
+
+module.exports = {
+
+  async getStatus({ homey }) {
+    return homey.app.getAccountsStatus();
+  },
+
+  async testConnection({ homey, body }) {
+    return homey.app.testConnection(body.accountId);
+  },
+
+  async login({ homey, body }) {
+    return homey.app.login(body.username, body.password);
+  },
+
+  async logout({ homey, body }) {
+    return homey.app.logout(body.accountId);
+  },
+
+};
@@ -1,6 +1,10 @@
 'use strict';
 
 const Homey = require('homey');
+const TripleSolarClient = require('./lib/TripleSolarClient');
+const TripleSolarPoller = require('./lib/TripleSolarPoller');
+
+const { maskUsername, getAccountId } = TripleSolarClient;
 
 module.exports = class TripleSolarApp extends Homey.App {
 
@@ -9,53 +13,299 @@ module.exports = class TripleSolarApp extends Homey.App {
    */
   async onInit() {
     this.log('TripleSolar app has been initialized');
-    
-    // Initialize credentials store if not already done
-    this._credentials = null;
-    
+
+    // Credentials per account, keyed by account id
+    this._accounts = {};
+
+    // One shared API client and poller per account
+    this._clients = new Map();
+    this._pollers = new Map();
+
+    // Accounts the user was already asked to log in to again
+    this._authenticationRequested = new Set();
+
+    // Accounts the user logged out of on purpose, until they log in again
+    this._loggedOut = new Set();
+
     // Try to load credentials from storage
     try {
-      this._credentials = this.homey.settings.get('credentials');
-      if (this._credentials) {
-        this.log('Stored credentials found');
-      } else {
-        this.log('No stored credentials available');
+      this._accounts = this.homey.settings.get('accounts') || {};
+
+      // Older versions kept a single account under 'credentials'
+      const legacyCredentials = this.homey.settings.get('credentials');
+      if (legacyCredentials) {
+        this.log('Migrating stored credentials to an account');
+        const credentials = legacyCredentials;
+        delete credentials.password;
+        const accountId = credentials.username ? getAccountId(credentials.username) : 'default';
+        this._accounts[accountId] = credentials;
+        this.homey.settings.set('accounts', this._accounts);
+        this.homey.settings.unset('credentials');
       }
+
+      const count = Object.keys(this._accounts).length;
+      this.log(count ? `Stored credentials found for ${count} account(s)` : 'No stored credentials available');
     } catch (error) {
       this.error('Error loading stored credentials:', error);
     }
+
+    for (const accountId of Object.keys(this._accounts)) {
+      this.getClient(accountId).start();
+    }
+  }
+
+  /**
+   * Get the shared API client for an account, creating it when needed
+   */
+  getClient(accountId) {
+    let client = this._clients.get(accountId);
+    if (!client) {
+      client = new TripleSolarClient({
+        app: this,
+        accountId,
+        credentials: this._accounts[accountId],
+      });
+      this._clients.set(accountId, client);
+    }
+    return client;
+  }
+
+  /**
+   * Get the poller that reads all interfaces of an account in one request
+   */
+  getPoller(accountId) {
+    let poller = this._pollers.get(accountId);
+    if (!poller) {
+      poller = new TripleSolarPoller({
+        app: this,
+        client: this.getClient(accountId),
+      });
+      this._pollers.set(accountId, poller);
+    }
+    return poller;
+  }
+
+  /**
+   * Ids of all accounts with stored credentials
+   */
+  getAccountIds() {
+    return Object.keys(this._accounts);
+  }
+
+  /**
+   * Find the account of a device that was paired before accounts were
+   * stored per user
+   */
+  findLegacyAccountId(username) {
+    if (username) {
+      return getAccountId(username);
+    }
+
+    const accountIds = this.getAccountIds();
+    return accountIds.length === 1 ? accountIds[0] : null;
   }
-  
+
   /**
-   * Store credentials centrally
+   * Store credentials of an account
    */
-  async storeCredentials(credentials) {
+  async storeCredentials(accountId, credentials) {
     try {
-      this._credentials = credentials;
-      this.homey.settings.set('credentials', credentials);
-      this.log('Credentials stored centrally');
+      this._accounts[accountId] = credentials;
+      this.homey.settings.set('accounts', this._accounts);
+      this._authenticationRequested.delete(accountId);
+      this._loggedOut.delete(accountId);
+
+      // Keep the shared client in sync when credentials come from elsewhere
+      const client = this.getClient(accountId);
+      if (client.credentials !== credentials) {
+        client.credentials = credentials;
+        client.start();
+      }
+      this.log(`Credentials stored for ${maskUsername(accountId)}`);
       return true;
     } catch (error) {
       this.error('Failed to store credentials:', error);
       return false;
     }
   }
-  
+
+  /**
+   * Ask the user to log in again when the stored tokens were rejected.
+   * Only one notification per account is sent until the next successful login.
+   */
+  onAuthenticationRequired(accountId) {
+    // No need to tell about an account that was logged out on purpose
+    if (this._authenticationRequested.has(accountId) || this._loggedOut.has(accountId)) {
+      return;
+    }
+    this._authenticationRequested.add(accountId);
+
+    this.homey.notifications.createNotification({
+      excerpt: `Your TripleSolar login for ${maskUsername(accountId)} has expired. Open one of its devices and choose **Repair** to log in again.`,
+    }).catch((err) => this.error('Failed to send notification:', err));
+  }
+
+  /**
+   * Remember the last authentication error of an account for the settings page
+   */
+  recordAuthError(accountId, message) {
+    const errors = this.homey.settings.get('lastAuthErrors') || {};
+    errors[accountId] = {
+      message,
+      timestamp: Date.now(),
+    };
+    this.homey.settings.set('lastAuthErrors', errors);
+  }
+
+  _getAuthError(accountId) {
+    const errors = this.homey.settings.get('lastAuthErrors') || {};
+    return errors[accountId] || null;
+  }
+
+  _clearAuthError(accountId) {
+    const errors = this.homey.settings.get('lastAuthErrors') || {};
+    delete errors[accountId];
+    this.homey.settings.set('lastAuthErrors', errors);
+  }
+
+  _getDevices(accountId) {
+    return this.homey.drivers.getDriver('triplesolar').getDevices()
+      .filter((device) => device.accountId === accountId);
+  }
+
+  /**
+   * Summary of an account for the settings page
+   */
+  getAccountStatus(accountId) {
+    const credentials = this._accounts[accountId] || {};
+    const client = this.getClient(accountId);
+
+    return {
+      id: accountId,
+      linked: client.hasTokens(),
+      account: credentials.username ? maskUsername(credentials.username) : maskUsername(accountId),
+      devices: this._getDevices(accountId).length,
+      lastRefresh: credentials.lastRefresh || credentials.timestamp || null,
+      expiresAt: client.getAccessTokenExpiry(),
+      lastAuthError: this._getAuthError(accountId),
+    };
+  }
+
+  // Accounts with stored credentials and accounts that were logged out but
+  // still have devices
+  _getKnownAccountIds() {
+    const deviceAccountIds = this.homey.drivers.getDriver('triplesolar').getDevices()
+      .map((device) => device.accountId)
+      .filter((accountId) => accountId);
+    return [...new Set(this.getAccountIds().concat(deviceAccountIds))];
+  }
+
+  _checkAccount(accountId) {
+    if (!this._getKnownAccountIds().includes(accountId)) {
+      throw new Error('Unknown TripleSolar account');
+    }
+  }
+
+  /**
+   * Summary of every account for the settings page
+   */
+  getAccountsStatus() {
+    return this._getKnownAccountIds().map((accountId) => this.getAccountStatus(accountId));
+  }
+
+  /**
+   * Check that the stored tokens can still be used to read the interfaces
+   */
+  async testConnection(accountId) {
+    this._checkAccount(accountId);
+    const client = this.getClient(accountId);
+    if (!client.hasTokens()) {
+      throw new Error('No TripleSolar account linked');
+    }
+
+    const result = await client.query(
+      'Interfaces',
+      {},
+      `query Interfaces {
+        interfaces {
+          id
+          __typename
+        }
+      }`,
+    );
+
+    if (result.errors) {
+      throw new Error(result.errors[0].message || 'TripleSolar returned an error');
+    }
+
+    const interfaces = (result.data && result.data.interfaces) || [];
+    this.log(`Connection test successful, ${interfaces.length} interfaces found`);
+    return { interfaces: interfaces.length };
+  }
+
   /**
-   * Get stored credentials
+   * Log in to a new or existing account and resume its devices
    */
-  getCredentials() {
-    return this._credentials;
+  async login(username, password) {
+    if (!username) {
+      throw new Error('Please enter your e-mail address');
+    }
+
+    const accountId = getAccountId(username);
+    const loggedIn = await this.getClient(accountId).login(username, password);
+    if (!loggedIn) {
+      const lastAuthError = this._getAuthError(accountId);
+      throw new Error(lastAuthError ? lastAuthError.message : 'Login failed');
+    }
+
+    await this.homey.drivers.getDriver('triplesolar').onAccountRepaired(accountId);
+    return this.getAccountStatus(accountId);
   }
-  
+
   /**
-   * Clear stored credentials
+   * Forget an account and make its devices unavailable until they are
+   * repaired. The account stays listed as logged out while it has devices.
    */
-  async clearCredentials() {
+  async logout(accountId) {
+    this._checkAccount(accountId);
+    this._loggedOut.add(accountId);
+    await this.clearCredentials(accountId);
+    this._clearAuthError(accountId);
+
+    // Stop polling without tokens, a repair starts a new poller
+    for (const device of this._getDevices(accountId)) {
+      device.stopPolling();
+      await device.setUnavailable('Logged out, please repair the device to log in again')
+        .catch((err) => this.error(`Failed to update ${device.getName()}:`, err));
+    }
+
+    this._pollers.delete(accountId);
+
+    return this.getAccountsStatus();
+  }
+
+  /**
+   * Get stored credentials of an account
+   */
+  getCredentials(accountId) {
+    return this._accounts[accountId] || null;
+  }
+
+  /**
+   * Clear stored credentials of an account
+   */
+  async clearCredentials(accountId) {
     try {
-      this._credentials = null;
-      this.homey.settings.unset('credentials');
-      this.log('Credentials cleared');
+      delete this._accounts[accountId];
+      this.homey.settings.set('accounts', this._accounts);
+
+      // Devices keep their client, it gets new tokens on the next login
+      const client = this._clients.get(accountId);
+      if (client) {
+        client.credentials = null;
+        client.stop();
+      }
+      this.log(`Credentials cleared for ${maskUsername(accountId)}`);
       return true;
     } catch (error) {
       this.error('Failed to clear credentials:', error);
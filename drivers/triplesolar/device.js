@@ -1,42 +1,227 @@
 'use strict';
 
 const { Device } = require('homey');
-const fetch = require('node-fetch');
+const TripleSolarAuthError = require('../../lib/TripleSolarAuthError');
+const {
+  estimatePower, estimateThermalPower, getCop, estimateMixedWater,
+} = require('../../lib/EnergyModel');
+const { parseErrors } = require('../../lib/HeatPumpErrors');
+const { getLocalTime, parseTime } = require('../../lib/LocalTime');
+const SurplusController = require('../../lib/SurplusController');
+const PriceScheduler = require('../../lib/PriceScheduler');
+const WeeklyScheduler = require('../../lib/WeeklyScheduler');
+const BoilerRates = require('../../lib/BoilerRates');
+const HotWaterPlanner = require('../../lib/HotWaterPlanner');
 
-const TRIPLESOLAR_API = 'https://app.triplesolar.eu/graphql';
-const TRIPLESOLAR_AUTH = 'https://app.triplesolar.eu/auth';
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Energy is not counted over longer gaps between polls, e.g. after downtime,
+// since the state of the pump in between is unknown
+const MAX_METER_GAP = 2 * HOUR;
+
+// Daily and seasonal COP are shown once this much electricity (kWh) was used
+const MIN_COP_ENERGY = 0.1;
+
+// Month (1-12) the heating season starts, for the seasonal COP
+const SEASON_START_MONTH = 9;
+
+// Keep polling at the active interval this long after a change from Homey
+const MUTATION_WINDOW = 10 * MINUTE;
+
+// Read back a change from Homey after this delay
+const MUTATION_READBACK_DELAY = 30 * 1000;
+
+// dhwMode values the boiler_mode capability knows, others are added when reported
+const DHW_MODES = {
+  AUTO: { en: 'Auto', nl: 'Automatisch' },
+  OFF: { en: 'Off', nl: 'Uit' },
+};
+
+// Enum capabilities whose values are not all documented. Known values have a
+// title, values reported later are remembered under the store key.
+const ENUM_CAPABILITIES = {
+  boiler_mode: { values: DHW_MODES, storeKey: 'dhwModes' },
+  dhw_state: { values: {}, storeKey: 'dhwStates' },
+  space_heating_cooling_state: { values: {}, storeKey: 'spaceHeatingCoolingStates' },
+};
+
+// dhwState values are not documented; any state matching this is not heating
+const DHW_IDLE_STATES = /IDLE|OFF|STANDBY|NONE/i;
+
+// Setpoints: the part of the interface and the field they are stored in, and
+// their range. The heat pump doesn't report limits for these fields, so the
+// fixed ranges here and in the capability options are used. Only pvtHeatPump
+// fields can be written; the mutation for the openTherm room setpoint is not
+// known, so that one is only shown.
+const SETPOINTS = {
+  'target_temperature.boiler': {
+    section: 'pvtHeatPump', field: 'dhwAutoTemp', min: 30, max: 65,
+  },
+  'target_temperature.heating': {
+    section: 'pvtHeatPump', field: 'shRoomSetpTemp', min: 10, max: 30,
+  },
+  'target_temperature.cooling': {
+    section: 'pvtHeatPump', field: 'scRoomSetpTemp', min: 15, max: 35,
+  },
+  'target_temperature.room': {
+    section: 'openTherm', field: 'roomSetpTemp', min: 5, max: 30,
+  },
+};
+
+// Switches: the part of the interface and the field they are stored in
+const SWITCHES = {
+  'onoff.backup_heater': { section: 'pvtHeatPump', field: 'shBackupEnable', name: 'the backup heater' },
+};
+
+// Heat pump parameters shown as device settings: the pvtHeatPump field and
+// the range the app accepts. roomControlType has no documented values and
+// is edited as text.
+const PARAMETERS = {
+  sink_min_sh_temp: { field: 'sinkMinShTemp', min: 15, max: 60 },
+  sink_max_sh_temp: { field: 'sinkMaxShTemp', min: 20, max: 70 },
+  sink_cooling_pause_threshold_temp: { field: 'sinkCoolingPauseThresholdTemp', min: 5, max: 25 },
+  dhw_auto_temp: { field: 'dhwAutoTemp', min: 30, max: 65 },
+  sh_room_hysteresis_temp: { field: 'shRoomHysteresisTemp', min: 0.1, max: 5 },
+  sc_room_hysteresis_temp: { field: 'scRoomHysteresisTemp', min: 0.1, max: 5 },
+  room_control_type: { field: 'roomControlType' },
+};
+
+// Only shown while an OpenTherm thermostat is connected
+const OPENTHERM_CAPABILITIES = ['measure_temperature.room', 'target_temperature.room'];
+
+// Don't overwrite a value changed from Homey this recently with a poll
+const CHANGE_SYNC_DELAY = 5 * MINUTE;
+
+// Boosts with their capability and the pvtHeatPump field that enables them
+const BOOSTS = {
+  dhw: { capability: 'onoff.dhw_boost', field: 'dhwBoostEnabled' },
+  sh: { capability: 'onoff.sh_boost', field: 'shBoostEnabled' },
+};
+
+// Try again to end a boost after this delay when the heat pump can't be reached
+const BOOST_RETRY_DELAY = MINUTE;
 
 class TripleSolarDevice extends Device {
 
   async onInit() {
     this.log('TripleSolar device has been initialized');
 
-    // Get the stored credentials
-    this.username = this.getStoreValue('username');
-    this.password = this.getStoreValue('password');
-    this.accessToken = this.getStoreValue('accessToken');
-    this.refreshToken = this.getStoreValue('refreshToken');
     this.interfaceId = this.getData().id;
-    
+
     // Variable to keep track of when the boiler mode is manually set
     this.lastBoilerModeChange = 0;
 
-    // Store the time of the last successful token refresh
-    this.lastSuccessfulTokenRefresh = 0;
+    // When each setpoint and boost was last changed from Homey
+    this.lastSetpointChange = {};
+    this.lastBoostChange = {};
+
+    // Timers that end running boosts
+    this.boostTimeouts = {};
+
+    // Heats the boiler with solar power when enabled in the settings
+    this.surplusController = new SurplusController({ device: this });
+
+    // Heats the boiler in the cheapest hours planned by a flow
+    this.priceScheduler = new PriceScheduler({ device: this });
+
+    // Switches the boiler on a weekly schedule from the settings
+    this.weeklyScheduler = new WeeklyScheduler({ device: this });
+
+    // Learns how fast the boiler heats up and cools down
+    this.boilerRates = new BoilerRates({ device: this });
+
+    // Gets the boiler to a temperature by a time planned by a flow
+    this.hotWaterPlanner = new HotWaterPlanner({ device: this });
+
+    // Switch values written from Homey that a poll should confirm
+    this.pendingSwitches = {};
+
+    // When the heat pump parameters were last changed in the device settings
+    this.lastParameterChange = 0;
 
-    // Log info about the tokens (without sensitive information)
-    this.log(`Stored tokens: accessToken ${this.accessToken ? 'present' : 'missing'}, refreshToken ${this.refreshToken ? 'present' : 'missing'}, password ${this.password ? 'present' : 'missing'}`);
+    // Reported parameter values outside the range of their setting, so each
+    // is only warned about once
+    this.skippedParameters = {};
+
+    // Last change sent from Homey and whether the pump was running at the
+    // last poll, both used for adaptive polling
+    this.lastMutation = 0;
+    this.isActive = false;
+
+    // Devices paired before multiple accounts were supported have no account id yet
+    this.accountId = this.getStoreValue('accountId');
+    if (!this.accountId) {
+      this.accountId = this.homey.app.findLegacyAccountId(this.getStoreValue('username'));
+      if (this.accountId) {
+        this.log('Linking device to its account');
+        await this.setStoreValue('accountId', this.accountId);
+      }
+    }
+
+    if (this.accountId) {
+      // All devices of an account share the app-level client and its tokens
+      this.client = this.homey.app.getClient(this.accountId);
+
+      // Devices paired before the shared client kept their own tokens;
+      // hand them to the app when it has none yet
+      if (!this.client.hasTokens() && this.getStoreValue('refreshToken')) {
+        this.log('Adopting tokens stored on the device');
+        await this.homey.app.storeCredentials(this.accountId, {
+          username: this.getStoreValue('username'),
+          accessToken: this.getStoreValue('accessToken'),
+          refreshToken: this.getStoreValue('refreshToken'),
+          timestamp: 0,
+        });
+      }
+    }
+
+    // Older versions copied the password and tokens into every device
+    for (const key of ['password', 'accessToken', 'refreshToken']) {
+      if (this.getStoreValue(key)) {
+        this.log(`Removing ${key} from device store`);
+        await this.unsetStoreValue(key);
+      }
+    }
 
     // Ensure all capabilities are registered
     const requiredCapabilities = [
       'onoff.boiler',
+      'boiler_mode',
+      'dhw_state',
+      'space_heating_cooling_state',
       'measure_temperature.boiler',
       'target_temperature.boiler',
+      'target_temperature.heating',
+      'target_temperature.cooling',
       'measure_temperature.source_return',
       'measure_temperature.source_supply',
       'measure_temperature.distribution_return',
       'measure_temperature.distribution_supply',
-      'measure_temperature.compressor_discharge'
+      'measure_temperature.compressor_discharge',
+      'compressor_on',
+      'electric_element_on',
+      'pump_relay_on',
+      'cooling_valve_enabled',
+      'manual_cooling_on',
+      'measure_source_pump',
+      'measure_sink_pump',
+      'measure_power',
+      'meter_power',
+      'measure_thermal_power',
+      'meter_thermal_energy',
+      'measure_cop',
+      'measure_cop_daily',
+      'measure_cop_seasonal',
+      'alarm_generic',
+      'heat_pump_error',
+      'onoff.dhw_boost',
+      'onoff.sh_boost',
+      'onoff.backup_heater',
+      'price_schedule',
+      'measure_time_to_setpoint',
+      'measure_hot_water',
+      'measure_showers',
     ];
 
     for (const capability of requiredCapabilities) {
@@ -47,52 +232,35 @@ class TripleSolarDevice extends Device {
 
     // Register capability listeners
     this.registerCapabilityListener('onoff.boiler', this.onCapabilityBoilerMode.bind(this));
-    this.registerCapabilityListener('target_temperature.boiler', this.onCapabilityTargetTemperature.bind(this));
+    for (const capability of Object.keys(SETPOINTS)) {
+      this.registerSetpointListener(capability);
+    }
+    for (const [type, { capability }] of Object.entries(BOOSTS)) {
+      this.registerCapabilityListener(capability, (value) => this.setBoost(type, value));
+    }
+    for (const capability of Object.keys(SWITCHES)) {
+      this.registerCapabilityListener(capability, (value) => this.setSwitch(capability, value));
+    }
+    this.registerCapabilityListener('boiler_mode', this.onCapabilityDhwMode.bind(this));
+
+    // Modes and states reported earlier that the app didn't know yet
+    for (const capability of Object.keys(ENUM_CAPABILITIES)) {
+      await this.updateEnumValues(capability);
+    }
+
+    if (!this.client) {
+      this.log('No account linked to this device');
+      await this.setUnavailable('No TripleSolar account linked, please repair the device to log in');
+      return;
+    }
 
     try {
-      // If we have a refresh token that's not too old, try to refresh
-      // Otherwise, if we have a password, try direct login
-      const now = Date.now();
-      const refreshTokenAge = now - (this.lastSuccessfulTokenRefresh || 0);
-      const refreshTokenTooOld = refreshTokenAge > 24 * 60 * 60 * 1000; // 24 hours
-      
-      if (this.refreshToken && !refreshTokenTooOld) {
-        this.log('Refreshing accessToken on startup...');
-        const refreshed = await this.refreshAccessToken();
-        if (refreshed) {
-          this.log('AccessToken successfully refreshed');
-          this.lastSuccessfulTokenRefresh = now;
-        } else if (this.password) {
-          this.log('AccessToken could not be refreshed, trying direct login');
-          const loggedIn = await this.loginWithCredentials();
-          if (loggedIn) {
-            this.log('Direct login successful');
-            this.lastSuccessfulTokenRefresh = now;
-          } else {
-            this.log('Direct login failed');
-            await this.setUnavailable('Login failed, please check your credentials');
-            return;
-          }
-        } else {
-          this.log('AccessToken could not be refreshed and no password available');
-          await this.setUnavailable('Authentication failed, please remove and re-add the device');
-          return;
-        }
-      } else if (this.password) {
-        // Skip refresh token attempt if too old or missing, go straight to login
-        this.log('Using direct login instead of token refresh');
-        const loggedIn = await this.loginWithCredentials();
-        if (loggedIn) {
-          this.log('Direct login successful');
-          this.lastSuccessfulTokenRefresh = now;
-        } else {
-          this.log('Direct login failed');
-          await this.setUnavailable('Login failed, please check your credentials');
-          return;
-        }
-      } else if (!this.accessToken) {
-        this.log('No tokens available, login required');
-        await this.setUnavailable('Login required, please remove and re-add the device');
+      // Reuse the shared access token while it is valid, otherwise renew it
+      // with the refresh token
+      const authenticated = await this.client.authenticate();
+      if (!authenticated) {
+        this.log('Authentication failed on startup');
+        await this.setUnavailable('Authentication failed, please repair the device to log in again');
         return;
       }
     } catch (error) {
@@ -100,26 +268,237 @@ class TripleSolarDevice extends Device {
       // Proceed, try again later at the first poll
     }
 
-    // Start polling for updates
-    this.pollInterval = this.homey.setInterval(() => {
-      this.pollTripleSolar().catch(err => {
-        this.error('Poll error:', err);
-      });
-    }, 60 * 60 * 1000); // Poll every hour instead of every minute
+    // Boosts and price schedules that were running when the app stopped
+    // still end on time
+    this.restoreTimers();
 
+    this.startPolling();
+  }
+
+  startPolling() {
     // Track consecutive errors
-    this.consecutiveErrors = 0;
-    this.maxConsecutiveErrors = 3;
+    if (this.consecutiveErrors === undefined) {
+      this.consecutiveErrors = 0;
+      this.maxConsecutiveErrors = 3;
+    }
 
-    // Direct first poll execution
-    this.pollTripleSolar().catch(err => {
-      this.error('Initial poll error:', err);
-    });
+    // All devices of an account are polled together
+    this.poller = this.homey.app.getPoller(this.accountId);
+    this.poller.register(this);
+  }
+
+  stopPolling() {
+    if (this.poller) {
+      this.poller.unregister(this);
+      this.poller = null;
+    }
+  }
+
+  // Interval until the next poll, based on the settings and the state of the last poll
+  getPollInterval(settings = this.getSettings()) {
+    const interval = (settings.poll_interval || 15) * MINUTE;
+    if (!settings.adaptive_polling) {
+      return interval;
+    }
+
+    const recentlyChanged = Date.now() - this.lastMutation < MUTATION_WINDOW;
+    if (this.isActive || recentlyChanged) {
+      return Math.min(interval, (settings.active_poll_interval || 2) * MINUTE);
+    }
+    return Math.max(interval, (settings.idle_poll_interval || 30) * MINUTE);
+  }
+
+  // Remember a change sent from Homey and read it back soon
+  onMutation() {
+    this.lastMutation = Date.now();
+    if (this.poller) {
+      this.poller.requestPoll(MUTATION_READBACK_DELAY);
+    }
+  }
+
+  async onSettings({ newSettings, changedKeys }) {
+    const pollKeys = ['poll_interval', 'adaptive_polling', 'active_poll_interval', 'idle_poll_interval', 'max_polls_per_hour'];
+    const pollChanged = changedKeys.some((key) => pollKeys.includes(key));
+    if (pollChanged && newSettings.active_poll_interval > newSettings.idle_poll_interval) {
+      throw new Error('The active poll interval cannot be longer than the idle poll interval');
+    }
+
+    const surplusKeys = ['surplus_enabled', 'surplus_start_export', 'surplus_stop_export', 'surplus_fallback_enabled', 'surplus_fallback_time'];
+    if (changedKeys.some((key) => surplusKeys.includes(key))) {
+      if (newSettings.surplus_stop_export >= newSettings.surplus_start_export) {
+        throw new Error('The grid export to stop heating must be lower than the export to start');
+      }
+      if (newSettings.surplus_fallback_enabled && parseTime(newSettings.surplus_fallback_time) === null) {
+        throw new Error('Enter the fallback time as HH:MM, e.g. 17:00');
+      }
+    }
+
+    const scheduleKeys = ['schedule_enabled', ...WeeklyScheduler.DAY_SETTINGS];
+    const scheduleChanged = changedKeys.some((key) => scheduleKeys.includes(key));
+    if (scheduleChanged) {
+      WeeklyScheduler.validateSchedule(newSettings);
+    }
+
+    const hotWaterKeys = ['hot_water_tank_volume', 'hot_water_mixing_temp', 'hot_water_cold_temp', 'hot_water_shower_litres'];
+    const hotWaterChanged = changedKeys.some((key) => hotWaterKeys.includes(key));
+    if (hotWaterChanged && newSettings.hot_water_mixing_temp <= newSettings.hot_water_cold_temp) {
+      throw new Error('The mixing temperature must be higher than the cold water temperature');
+    }
+
+    // Heat pump parameters are written first, the settings aren't saved when that fails
+    const parameterKeys = changedKeys.filter((key) => key in PARAMETERS);
+    if (parameterKeys.length) {
+      await this.writeParameters(newSettings, parameterKeys);
+    }
+
+    // Settings are saved after this returns, so use the new values directly
+    if (pollChanged && this.poller) {
+      this.log('Poll settings changed, rescheduling');
+      this.poller.reschedule(this, newSettings);
+    }
+
+    if (hotWaterChanged) {
+      await this.updateHotWater(this.getCapabilityValue('measure_temperature.boiler'), newSettings);
+    }
+
+    // A changed schedule applies right away when the current window changed
+    if (scheduleChanged) {
+      this.weeklyScheduler.evaluate(newSettings)
+        .catch((err) => this.error('Failed to apply the weekly schedule:', err));
+    }
+  }
+
+  // Check changed heat pump parameters and write them in one update
+  async writeParameters(settings, keys) {
+    for (const key of keys) {
+      const { min, max } = PARAMETERS[key];
+      const value = settings[key];
+      if (min !== undefined && (typeof value !== 'number' || value < min || value > max)) {
+        throw new Error(`${key} must be between ${min} and ${max}`);
+      }
+    }
+
+    if (keys.includes('room_control_type') && !String(settings.room_control_type).trim()) {
+      throw new Error('The room control type cannot be empty');
+    }
+
+    if (settings.sink_min_sh_temp >= settings.sink_max_sh_temp) {
+      throw new Error('The minimum distribution temperature must be lower than the maximum');
+    }
+
+    const data = {};
+    for (const key of keys) {
+      data[PARAMETERS[key].field] = this.parseParameter(key, settings[key]);
+    }
+
+    this.log('Writing heat pump parameters:', data);
+    let updated;
+    try {
+      updated = await this.updatePvtHeatPump(data);
+    } catch (error) {
+      throw new Error(`TripleSolar rejected the change: ${error.message}`);
+    }
+    if (!updated) {
+      throw new Error('TripleSolar did not accept the change, please try again later');
+    }
+
+    this.lastParameterChange = Date.now();
+    this.onMutation();
+
+    // The boiler setpoint is also a capability
+    if ('dhwAutoTemp' in data) {
+      await this.setCapabilityValue('target_temperature.boiler', data.dhwAutoTemp);
+      this.lastSetpointChange['target_temperature.boiler'] = Date.now();
+    }
+  }
+
+  // roomControlType is edited as text, numbers are sent as numbers
+  parseParameter(key, value) {
+    if (key === 'room_control_type') {
+      const text = String(value).trim();
+      return /^-?\d+$/.test(text) ? Number(text) : text;
+    }
+    return value;
+  }
+
+  // Keep the parameter settings equal to what the heat pump reports, unless
+  // they were just changed from Homey
+  async syncParameters(heatPump) {
+    if (Date.now() - this.lastParameterChange < CHANGE_SYNC_DELAY) {
+      return;
+    }
+
+    const settings = this.getSettings();
+    const changed = {};
+    for (const [key, { field }] of Object.entries(PARAMETERS)) {
+      const value = heatPump[field];
+      if (value === undefined || value === null) {
+        continue;
+      }
+
+      // A value the setting doesn't accept would fail the whole update
+      const { min, max } = PARAMETERS[key];
+      if (value < min || value > max) {
+        if (this.skippedParameters[key] !== value) {
+          this.error(`Heat pump reports ${field} ${value}, outside the ${min}-${max} the setting allows, not showing it`);
+          this.skippedParameters[key] = value;
+        }
+        continue;
+      }
+      delete this.skippedParameters[key];
+
+      const setting = key === 'room_control_type' ? String(value) : value;
+      if (setting !== settings[key]) {
+        changed[key] = setting;
+      }
+    }
+
+    if (Object.keys(changed).length) {
+      this.log('Heat pump parameters changed:', changed);
+      await this.setSettings(changed)
+        .catch((err) => this.error('Failed to update parameter settings:', err));
+    }
+  }
+
+  // Link the device to another account, e.g. after a repair with other credentials
+  async setAccount(accountId) {
+    this.log('Linking device to a different account');
+    const wasPolling = !!this.poller;
+    this.stopPolling();
+
+    this.accountId = accountId;
+    this.client = this.homey.app.getClient(accountId);
+    await this.setStoreValue('accountId', accountId);
+
+    if (wasPolling) {
+      this.startPolling();
+    }
+  }
+
+  // Called by the driver after the account was repaired with new credentials
+  async onRepaired() {
+    this.log('Credentials repaired, resuming device');
+    this.resetErrorCounter();
+    await this.setAvailable();
+
+    if (this.poller) {
+      this.poller.requestPoll(0);
+    } else {
+      // Authentication failed during onInit, so polling never started
+      this.restoreTimers();
+      this.startPolling();
+    }
   }
 
   async onDeleted() {
     // Stop polling when device is deleted
-    this.homey.clearInterval(this.pollInterval);
+    this.stopPolling();
+    for (const timeout of Object.values(this.boostTimeouts)) {
+      this.homey.clearTimeout(timeout);
+    }
+    this.priceScheduler.stop();
+    this.weeklyScheduler.stop();
+    this.hotWaterPlanner.stop();
     this.log('Device deleted, polling stopped');
     
     // Note: We don't clear app-wide credentials here since the user
@@ -146,500 +525,630 @@ class TripleSolarDevice extends Device {
     }
   }
 
-  // New method for refreshing the access token
-  async refreshAccessToken() {
+  // Helper method for performing API calls through the shared client
+  async makeApiCall(operation, variables, query) {
     try {
-      this.log(`Refreshing access token with refreshToken...`);
-      
-      const response = await fetch(`${TRIPLESOLAR_AUTH}/refresh`, {
-        method: 'POST',
-        headers: {
-          'accept': '*/*',
-          'content-type': 'application/json',
-          'origin': 'https://app.triplesolar.eu',
-          'user-agent': 'Homey/TripleSolar'
-        },
-        body: JSON.stringify({
-          refreshToken: this.refreshToken
-        })
-      });
-
-      this.log(`Token refresh response status: ${response.status}`);
-      
-      // Read the response text and log it for debugging (without sensitive details)
-      const responseText = await response.text();
-      this.log(`Token refresh response received (${responseText.length} characters)`);
-      
-      // Check for known error messages in the response
-      if (responseText.includes('incorrect token') || 
-          responseText.includes('invalid token') ||
-          response.status === 401) {
-        this.error('Token refresh failed: invalid or expired refreshToken');
-        
-        // If the password is available, try to log in again
-        if (this.password) {
-          this.log('Password is available, trying to login again...');
-          return await this.loginWithCredentials();
-        }
-        
-        return false;
-      }
-      
-      let result;
-      try {
-        result = JSON.parse(responseText);
-      } catch (jsonError) {
-        this.error('Could not parse response as JSON:', jsonError);
-        this.log('Response content:', responseText);
-        return false;
+      return await this.client.query(operation, variables, query);
+    } catch (error) {
+      if (error instanceof TripleSolarAuthError) {
+        this.error('Authentication failed, setting device as unavailable');
+        await this.setUnavailable('Authentication error. Please repair the device to log in again.');
       }
+      this.error('API call failed:', error);
+      throw error;
+    }
+  }
 
-      if (result.accessToken) {
-        this.log('New accessToken received');
-        this.accessToken = result.accessToken;
-        await this.setStoreValue('accessToken', result.accessToken);
-        
-        // If there is a new refreshToken, save it as well
-        if (result.refreshToken) {
-          this.log('New refreshToken received');
-          this.refreshToken = result.refreshToken;
-          await this.setStoreValue('refreshToken', result.refreshToken);
-        }
-        
-        // Update the last successful token refresh timestamp
-        this.lastSuccessfulTokenRefresh = Date.now();
-        
-        // Update app-wide credentials with new tokens
-        await this.updateGlobalTokens();
-        
-        return true;
+  // Called by the poller with this device's part of the account-wide poll
+  async onPollData(interfaceObj, polledAt) {
+    this.lastPollAt = polledAt;
+
+    const heatPump = interfaceObj.pvtHeatPump;
+    const { openTherm } = interfaceObj;
+    
+    // Log the important values
+    this.log('Heat pump status:', {
+      name: interfaceObj.name,
+      dhwBoilerTemp: heatPump.dhwBoilerTemp,
+      dhwMode: heatPump.dhwMode,
+      dhwState: heatPump.dhwState,
+      spaceHeatingCoolingState: heatPump.spaceHeatingCoolingState,
+      roomTemperatureControl: heatPump.roomTemperatureControl,
+      roomTemp: openTherm?.roomTemp || null,
+      roomSetpTemp: openTherm?.roomSetpTemp || null,
+    });
+    
+    // The pump is running, poll more often while adaptive polling is on
+    this.isActive = !!(heatPump.compressorOn || heatPump.electricElementOn);
+
+    // Update capabilities
+    await this.setAvailable();
+    
+    // Update all temperature measurements
+    await this.setCapabilityValue('measure_temperature.boiler', heatPump.dhwBoilerTemp);
+    await this.setCapabilityValue('measure_temperature.source_return', heatPump.sourceInTemp);
+    await this.setCapabilityValue('measure_temperature.source_supply', heatPump.sourceOutTemp);
+    await this.setCapabilityValue('measure_temperature.distribution_return', heatPump.sinkInTemp);
+    await this.setCapabilityValue('measure_temperature.distribution_supply', heatPump.sinkOutTemp);
+    await this.setCapabilityValue('measure_temperature.compressor_discharge', heatPump.compressorDischarge);
+
+    // Operating state of the heat pump components
+    await this.updateOperatingState('compressor_on', heatPump.compressorOn);
+    await this.updateOperatingState('electric_element_on', heatPump.electricElementOn);
+    await this.updateOperatingState('pump_relay_on', heatPump.pumpRelayOn);
+    await this.updateOperatingState('cooling_valve_enabled', heatPump.coolingValveEnabled);
+    await this.updateOperatingState('measure_source_pump', heatPump.sourcePumpPerc);
+    await this.updateOperatingState('measure_sink_pump', heatPump.sinkPumpPerc);
+
+    // Manual cooling is set on the controller, the app can only show it since
+    // the controller mutation is not known
+    const { controller } = interfaceObj;
+    await this.updateOperatingState('manual_cooling_on', controller && controller.manualCoolingMode);
+
+    // What the pump is doing for hot water and for the rooms
+    await this.updateState('dhw_state', heatPump.dhwState);
+    await this.updateState('space_heating_cooling_state', heatPump.spaceHeatingCoolingState);
+
+    // Errors reported by the heat pump
+    await this.updateErrors(heatPump.errors);
+
+    // Estimated electrical and thermal power, the energy since the last poll
+    // and the efficiency over the day and the season
+    await this.updatePower(heatPump, polledAt);
+    await this.updateCop();
+
+    // Room temperature of a connected OpenTherm thermostat
+    await this.updateOpenTherm(interfaceObj);
+
+    // Sync the setpoints, unless they were just changed from Homey
+    for (const [capability, { section, field }] of Object.entries(SETPOINTS)) {
+      if (this.hasCapability(capability) && interfaceObj[section]) {
+        await this.syncSetpoint(capability, interfaceObj[section][field]);
       }
+    }
 
-      this.error('No accessToken in response');
-      this.log('Response content:', responseText);
-      return false;
-    } catch (error) {
-      this.error('Error when logging in again:', error);
-      return false;
+    // Learn the heating and cooling rates of the boiler and estimate how long
+    // it takes to reach the setpoint
+    await this.boilerRates.sample(heatPump.dhwBoilerTemp, this.isDhwHeating(), polledAt);
+    await this.setCapabilityValue('measure_time_to_setpoint',
+      this.boilerRates.getHeatUpMinutes(heatPump.dhwBoilerTemp, this.getCapabilityValue('target_temperature.boiler')));
+
+    // Hot water left for showers and the like
+    await this.updateHotWater(heatPump.dhwBoilerTemp);
+
+    // Switches, confirming the ones just changed from Homey
+    for (const [capability, { section, field }] of Object.entries(SWITCHES)) {
+      await this.syncSwitch(capability, interfaceObj[section] && interfaceObj[section][field]);
+    }
+
+    // Installer parameters shown in the device settings
+    await this.syncParameters(heatPump);
+
+    // Boosts started or ended on the heat pump itself
+    for (const [type, { field }] of Object.entries(BOOSTS)) {
+      await this.syncBoost(type, heatPump[field]);
+    }
+
+    // Update boiler mode from dhwMode, onoff.boiler is on for 'AUTO'
+    const { dhwMode } = heatPump;
+    const currentBoilerMode = this.getCapabilityValue('boiler_mode');
+    this.log(`Boiler mode: ${dhwMode}, state: ${heatPump.dhwState}, current boiler mode: ${currentBoilerMode}`);
+    
+    // Only update if there hasn't been a recent manual change (within 5 minutes)
+    const timeSinceLastChange = Date.now() - (this.lastBoilerModeChange || 0);
+    const recentlyChanged = timeSinceLastChange < 5 * 60 * 1000; // 5 minutes
+    
+    if (dhwMode && currentBoilerMode !== dhwMode && !recentlyChanged) {
+      this.log(`Boiler mode has changed from ${currentBoilerMode} to ${dhwMode} (no recent manual change)`);
+      await this.applyDhwMode(dhwMode);
+    } else if (dhwMode && currentBoilerMode !== dhwMode && recentlyChanged) {
+      this.log(`Boiler status differs from setting, but not updating due to recent manual change (${Math.round(timeSinceLastChange / 1000)}s ago)`);
+    }
+
+    // The solar surplus fallback depends on the new boiler temperature
+    await this.surplusController.evaluate()
+      .catch((err) => this.error('Solar surplus controller failed:', err));
+
+    // A hot water plan may need to start earlier when the boiler cooled down
+    await this.hotWaterPlanner.run()
+      .catch((err) => this.error('Hot water plan failed:', err));
+
+    // Reset error counter on successful poll
+    this.resetErrorCounter();
+    
+    // If the device was unavailable, set it available again
+    if (!this.getAvailable()) {
+      this.log('Device is back online, setting available');
+      await this.setAvailable();
     }
   }
 
-  // Method to log in completely again with stored login credentials
-  async loginWithCredentials() {
-    try {
-      if (!this.username || !this.password) {
-        this.error('Cannot login, username or password is missing');
-        return false;
-      }
-      
-      // Mask the email address for privacy in logs
-      const maskedUsername = this.username.replace(/(.{2})(.*)(@.*)/, '$1***$3');
-      this.log(`Logging in again with username: ${maskedUsername}`);
-      const response = await fetch('https://app.triplesolar.eu/auth/login', {
-        method: 'POST',
-        headers: {
-          'accept': '*/*',
-          'content-type': 'application/json',
-          'origin': 'https://app.triplesolar.eu',
-          'user-agent': 'Homey/TripleSolar'
-        },
-        body: JSON.stringify({
-          email: this.username,
-          password: this.password
-        })
-      });
+  // Add the energy used and delivered since the last poll to the meters and
+  // estimate the power until the next one. The last power is stored so
+  // counting continues after a restart.
+  async updatePower(heatPump, polledAt) {
+    const settings = this.getSettings();
+    const power = estimatePower(heatPump, settings);
+    const thermalPower = estimateThermalPower(heatPump, settings);
 
-      this.log('Login response status:', response.status);
-      
-      // Read the response text and log it for debugging (without sensitive details)
-      const responseText = await response.text();
-      this.log(`Login response received (${responseText.length} characters)`);
-      
-      let result;
-      try {
-        result = JSON.parse(responseText);
-      } catch (jsonError) {
-        this.error('Could not parse login response as JSON:', jsonError);
-        return false;
-      }
-      
-      // Check and save tokens
-      if (result.accessToken) {
-        this.log('New accessToken received after renewed login');
-        this.accessToken = result.accessToken;
-        await this.setStoreValue('accessToken', result.accessToken);
+    const last = this.getStoreValue('lastPower');
+    if (last && polledAt > last.polledAt) {
+      const elapsed = polledAt - last.polledAt;
+      if (elapsed <= MAX_METER_GAP) {
+        await this.addToMeter('meter_power', last.power, elapsed);
+        await this.addToMeter('meter_thermal_energy', last.thermalPower || 0, elapsed);
       } else {
-        this.error('No accessToken in login response');
-        return false;
+        this.log(`No energy counted over a gap of ${Math.round(elapsed / MINUTE)} minutes between polls`);
       }
-      
-      if (result.refreshToken) {
-        this.log('New refreshToken received after renewed login');
-        this.refreshToken = result.refreshToken;
-        await this.setStoreValue('refreshToken', result.refreshToken);
-      } else {
-        this.error('No refreshToken in login response');
-        return false;
+    }
+
+    await this.setStoreValue('lastPower', { power, thermalPower, polledAt });
+    await this.setCapabilityValue('measure_power', power);
+    await this.setCapabilityValue('measure_thermal_power', thermalPower);
+
+    // Only meaningful while the pump is producing heat
+    const running = heatPump.compressorOn || heatPump.electricElementOn;
+    await this.setCapabilityValue('measure_cop', running ? getCop(thermalPower, power) : null);
+  }
+
+  // Add the energy (kWh) of a power (W) over a period (ms) to a meter
+  async addToMeter(capability, power, elapsed) {
+    const meter = this.getCapabilityValue(capability) || 0;
+    await this.setCapabilityValue(capability, meter + (power * elapsed) / HOUR / 1000);
+  }
+
+  // Today's date and the year the current heating season started, in the
+  // timezone of Homey
+  getCopPeriods() {
+    const { date, year, month } = getLocalTime(this.homey.clock.getTimezone());
+    return {
+      day: date,
+      season: String(month >= SEASON_START_MONTH ? year : year - 1),
+    };
+  }
+
+  // COP since the start of the day and of the season, from the meter readings
+  // stored when each period started
+  async updateCop() {
+    const electric = this.getCapabilityValue('meter_power') || 0;
+    const thermal = this.getCapabilityValue('meter_thermal_energy') || 0;
+
+    const periods = this.getStoreValue('copPeriods') || {};
+    for (const [name, id] of Object.entries(this.getCopPeriods())) {
+      if (!periods[name] || periods[name].id !== id) {
+        this.log(`Starting COP period ${name} ${id}`);
+        periods[name] = { id, electric, thermal };
       }
+    }
+    await this.setStoreValue('copPeriods', periods);
 
-      // Update the last successful token refresh timestamp
-      this.lastSuccessfulTokenRefresh = Date.now();
-      
-      // Update app-wide credentials with new tokens
-      await this.updateGlobalTokens();
-      
-      this.log('Re-login successful');
-      return true;
-    } catch (error) {
-      this.error('Error while logging in again:', error);
-      return false;
+    const copOver = ({ electric: startElectric, thermal: startThermal }) => {
+      return getCop(thermal - startThermal, electric - startElectric, MIN_COP_ENERGY);
+    };
+
+    const previousDailyCop = this.getCapabilityValue('measure_cop_daily');
+    const dailyCop = copOver(periods.day);
+    await this.setCapabilityValue('measure_cop_daily', dailyCop);
+    await this.setCapabilityValue('measure_cop_seasonal', copOver(periods.season));
+
+    if (dailyCop !== null && dailyCop !== previousDailyCop) {
+      this.driver.triggerDailyCopChanged(this, previousDailyCop, dailyCop);
     }
   }
 
-  // Helper method for performing API calls with automatic token refreshing
-  async makeApiCall(operation, variables, query) {
+  // Update an operating state capability and trigger its flow when it changed
+  async updateOperatingState(capability, value) {
+    if (value === undefined || value === null) {
+      return;
+    }
+
+    const previous = this.getCapabilityValue(capability);
+    if (previous === value) {
+      return;
+    }
+
+    await this.setCapabilityValue(capability, value);
+
+    // Nothing to report for the first value after pairing or an app update
+    if (previous !== null) {
+      this.log(`${capability} changed from ${previous} to ${value}`);
+      this.driver.triggerOperatingStateChanged(this, capability, value);
+    }
+  }
+
+  // Update a state capability and trigger its flow with the old and new state
+  async updateState(capability, value) {
+    if (!value) {
+      return;
+    }
+
+    const previous = this.getCapabilityValue(capability);
+    if (previous === value) {
+      return;
+    }
+
+    // A value the capability doesn't accept yet must not stop the rest of
+    // the poll from being shown; it is tried again on the next poll
+    await this.addEnumValue(capability, value);
     try {
-      const headers = {
-        'accept': '*/*',
-        'content-type': 'application/json',
-        'authorization': `Bearer ${this.accessToken}`,
-        'origin': 'https://app.triplesolar.eu',
-        'user-agent': 'Homey/TripleSolar'
-      };
-
-      // Add timestamp to track API call duration
-      const startTime = Date.now();
-      
-      const response = await fetch(TRIPLESOLAR_API, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify({
-          operationName: operation,
-          variables,
-          query
-        })
-      });
+      await this.setCapabilityValue(capability, value);
+    } catch (error) {
+      this.error(`Could not show ${capability} ${value}:`, error);
+      return;
+    }
 
-      // Calculate API call duration
-      const duration = Date.now() - startTime;
+    // Nothing to report for the first value after pairing or an app update
+    if (previous !== null) {
+      this.log(`${capability} changed from ${previous} to ${value}`);
+      this.driver.triggerStateChanged(this, capability, previous, value);
+    }
+  }
 
-      // If we get a 401, try to refresh the token
-      if (response.status === 401) {
-        this.log(`Received 401 unauthorized for ${operation}, attempting to refresh token`);
-        
-        // If we have a refreshToken, try to refresh
-        if (this.refreshToken) {
-          const refreshed = await this.refreshAccessToken();
-          if (refreshed) {
-            // Try the call again with the new token
-            this.log('Token refreshed successfully, retrying API call');
-            headers.authorization = `Bearer ${this.accessToken}`;
-            const retryResponse = await fetch(TRIPLESOLAR_API, {
-              method: 'POST',
-              headers,
-              body: JSON.stringify({
-                operationName: operation,
-                variables,
-                query
-              })
-            });
-            
-            // Read the response text and log it for debugging
-            const retryResponseText = await retryResponse.text();
-            this.log(`Retry API response status: ${retryResponse.status}, Content: ${retryResponseText.substring(0, 200)}...`);
-            
-            try {
-              // Try to parse the response text as JSON
-              return JSON.parse(retryResponseText);
-            } catch (jsonError) {
-              this.error('Failed to parse retry response as JSON:', jsonError);
-              throw new Error(`Invalid JSON in API response: ${retryResponseText.substring(0, 100)}`);
-            }
-          } else {
-            // If token refreshing fails but we have a password, try to log in again
-            if (this.password) {
-              this.log('Token refresh failed, trying to login again with password...');
-              const loggedIn = await this.loginWithCredentials();
-              if (loggedIn) {
-                // Try the call again with the new tokens after logging in
-                this.log('Login successful, trying again with new tokens');
-                headers.authorization = `Bearer ${this.accessToken}`;
-                const retryLoginResponse = await fetch(TRIPLESOLAR_API, {
-                  method: 'POST',
-                  headers,
-                  body: JSON.stringify({
-                    operationName: operation,
-                    variables,
-                    query
-                  })
-                });
-                
-                // Read the response text and log it for debugging
-                const retryLoginResponseText = await retryLoginResponse.text();
-                this.log(`Retry API after login response status: ${retryLoginResponse.status}, Content: ${retryLoginResponseText.substring(0, 200)}...`);
-                
-                try {
-                  // Try to parse the response text as JSON
-                  return JSON.parse(retryLoginResponseText);
-                } catch (jsonError) {
-                  this.error('Failed to parse retry after login response as JSON:', jsonError);
-                  throw new Error(`Invalid JSON in API response: ${retryLoginResponseText.substring(0, 100)}`);
-                }
-              } else {
-                // If logging in fails, make the device unavailable
-                this.error('Login failed, setting device as unavailable');
-                await this.setUnavailable('Authentication error. Check your login credentials and restart Homey or remove and re-add the device.');
-                throw new Error('Authentication failed, could not login again');
-              }
-            } else {
-              // If token refreshing fails and no password is available, make the device unavailable
-              this.error('Token refresh failed, setting device as unavailable');
-              await this.setUnavailable('Authentication error. Please remove and re-add the device.');
-              throw new Error('Authentication failed, token could not be renewed');
-            }
-          }
-        } else {
-          // No refreshToken available
-          this.error('No refreshToken available, setting device as unavailable');
-          await this.setUnavailable('Login credentials expired. Please remove and re-add the device.');
-          throw new Error('Authentication failed, no refreshToken available');
-        }
-      }
+  // Show the reported errors and trigger flows for errors that appeared or
+  // disappeared since the last poll. Active errors are stored, so they are
+  // not reported again after a restart.
+  async updateErrors(errors) {
+    if (errors === undefined) {
+      return;
+    }
 
-      // Read the response text and log it for debugging
-      const responseText = await response.text();
-      // Log API call details with duration
-      this.log(`API ${operation} completed in ${duration}ms with status: ${response.status}`);
-      
-      // Only log the first part of the content in verbose mode, or when status is not 200
-      if (response.status !== 200) {
-        this.log(`API response content: ${responseText.substring(0, 200)}...`);
-      }
-      
-      try {
-        // Try to parse the response text as JSON
-        return JSON.parse(responseText);
-      } catch (jsonError) {
-        this.error('Failed to parse response as JSON:', jsonError);
-        throw new Error(`Invalid JSON in API response: ${responseText.substring(0, 100)}`);
+    const current = parseErrors(errors).map((error) => ({
+      code: error.code,
+      description: error.description || this.homey.__('errors.unknown', { code: error.code }),
+    }));
+
+    const previous = this.getStoreValue('activeErrors') || [];
+    const raised = current.filter((error) => !previous.some(({ code }) => code === error.code));
+    const cleared = previous.filter((error) => !current.some(({ code }) => code === error.code));
+
+    await this.setStoreValue('activeErrors', current);
+    await this.setCapabilityValue('alarm_generic', current.length > 0);
+    await this.setCapabilityValue('heat_pump_error', current.length
+      ? current.map((error) => error.description).join(', ')
+      : this.homey.__('errors.none'));
+
+    for (const error of raised) {
+      this.log(`Heat pump error raised: ${error.code}`);
+      this.driver.triggerHeatPumpError(this, 'raised', error);
+      await this.homey.notifications.createNotification({
+        excerpt: this.homey.__('errors.notification', { name: this.getName(), description: error.description }),
+      }).catch((err) => this.error('Failed to send notification:', err));
+    }
+
+    for (const error of cleared) {
+      this.log(`Heat pump error cleared: ${error.code}`);
+      this.driver.triggerHeatPumpError(this, 'cleared', error);
+    }
+  }
+
+  // Estimate the usable mixed water and the showers it is good for, and let
+  // flows know when it drops
+  async updateHotWater(boilerTemp, settings = this.getSettings()) {
+    const litres = estimateMixedWater(boilerTemp, settings);
+    const showers = litres === null || !(settings.hot_water_shower_litres > 0)
+      ? null
+      : Math.floor(litres / settings.hot_water_shower_litres);
+
+    const previous = this.getCapabilityValue('measure_hot_water');
+    await this.setCapabilityValue('measure_hot_water', litres);
+    await this.setCapabilityValue('measure_showers', showers);
+
+    if (litres !== null && previous !== null && litres < previous) {
+      this.driver.triggerHotWaterChanged(this, previous, litres, showers);
+    }
+  }
+
+  // True while the last reported dhwState is an active one
+  isDhwHeating() {
+    const state = this.getCapabilityValue('dhw_state');
+    return !!state && !DHW_IDLE_STATES.test(state);
+  }
+
+  // Add the OpenTherm capabilities while a thermostat is connected and remove
+  // them when it is not
+  async updateOpenTherm(interfaceObj) {
+    const connected = !!interfaceObj.openThermBoilerConnected && !!interfaceObj.openTherm;
+
+    for (const capability of OPENTHERM_CAPABILITIES) {
+      if (connected && !this.hasCapability(capability)) {
+        this.log(`OpenTherm thermostat connected, adding ${capability}`);
+        await this.addCapability(capability);
+        this.registerSetpointListener(capability);
+      } else if (!connected && this.hasCapability(capability)) {
+        this.log(`No OpenTherm thermostat connected, removing ${capability}`);
+        await this.removeCapability(capability);
       }
+    }
+
+    if (connected && typeof interfaceObj.openTherm.roomTemp === 'number') {
+      await this.setCapabilityValue('measure_temperature.room', interfaceObj.openTherm.roomTemp);
+    }
+  }
+
+  // Called by the poller when the account-wide poll failed for this device
+  async onPollError(error) {
+    this.error('Error polling TripleSolar:', error);
+    if (error instanceof TripleSolarAuthError) {
+      this.error('Authentication failed, setting device as unavailable');
+      await this.setUnavailable('Authentication error. Please repair the device to log in again.');
+      return;
+    }
+    // Handle consecutive errors
+    await this.handleError();
+  }
+
+  // Write pvtHeatPump settings with the mutation the TripleSolar web app uses
+  async updatePvtHeatPump(data) {
+    const result = await this.makeApiCall(
+      'UpdatePvtHeatPumpSettings',
+      {
+        interfaceIds: [this.interfaceId],
+        pvtHeatPumpdata: data,
+      },
+      `mutation UpdatePvtHeatPumpSettings($interfaceIds: [String!]!, $pvtHeatPumpdata: PvtHeatPumpInput!) {
+        updatePvtHeatPump(data: $pvtHeatPumpdata, interfaceIds: $interfaceIds)
+      }`,
+    );
+
+    if (result.errors) {
+      throw new Error(result.errors[0].message || 'Failed to update heat pump settings');
+    }
+
+    return !!result.data && (result.data.updatePvtHeatPump === true || result.data.updatePvtHeatPump === null);
+  }
+
+  // Fixed range a setpoint is limited to, from the capability options or
+  // else SETPOINTS; the poll data holds no limits to use instead
+  getSetpointLimits(capability) {
+    let options = {};
+    try {
+      options = this.getCapabilityOptions(capability) || {};
     } catch (error) {
-      this.error('API call failed:', error);
-      throw error;
+      // No options set, use the defaults
     }
+
+    const defaults = SETPOINTS[capability];
+    return {
+      min: typeof options.min === 'number' ? options.min : defaults.min,
+      max: typeof options.max === 'number' ? options.max : defaults.max,
+    };
   }
 
-  async pollTripleSolar() {
+  // Show a setpoint read from the heat pump
+  async syncSetpoint(capability, value) {
+    if (typeof value !== 'number' || value === this.getCapabilityValue(capability)) {
+      return;
+    }
+
+    const changedAt = this.lastSetpointChange[capability] || 0;
+    if (Date.now() - changedAt < CHANGE_SYNC_DELAY) {
+      return;
+    }
+
+    this.log(`${capability} changed to ${value}`);
+    await this.setCapabilityValue(capability, value);
+  }
+
+  // Capabilities that are only added later get their listener when added
+  registerSetpointListener(capability) {
+    const setpoint = SETPOINTS[capability];
+    if (setpoint && setpoint.section === 'pvtHeatPump' && this.hasCapability(capability)) {
+      this.registerCapabilityListener(capability, (value) => this.setSetpoint(capability, value));
+    }
+  }
+
+  // Write a setpoint to the heat pump, limited to its range
+  async setSetpoint(capability, value) {
+    const { field } = SETPOINTS[capability];
+
     try {
-      // Get extended heat pump status with the new GraphQL query
-      const result = await this.makeApiCall(
-        'ReadHeatPumpSettings',
-        { interfaceId: this.interfaceId },
-        `query ReadHeatPumpSettings($interfaceId: String!) {
-          interface(interfaceId: $interfaceId) {
-            id
-            firmwareVersion {
-              version
-              timestamp
-              __typename
-            }
-            controller {
-              backupHeater
-              chSetpMaxTemp
-              manualCoolingMode
-              __typename
-            }
-            name
-            openThermBoilerConnected
-            pvtHeatPump {
-              id
-              firmwareVersion
-              dhwMode
-              roomTemperatureControl
-              roomControlType
-              shBackupEnable
-              sinkMinShTemp
-              sinkMaxShTemp
-              flushingMode
-              dhwAutoTemp
-              shRoomSetpTemp
-              shRoomHysteresisTemp
-              scRoomSetpTemp
-              scRoomHysteresisTemp
-              sinkCoolingPauseThresholdTemp
-              dhwState
-              spaceHeatingCoolingState
-              shBoostEnabled
-              dhwBoostEnabled
-              boostSourceTemp
-              errors
-              dhwBoilerTemp
-              compressorOn
-              electricElementOn
-              coolingValveEnabled
-              pumpRelayOn
-              sourcePumpPerc
-              sinkPumpPerc
-              sourceInTemp
-              sourceOutTemp
-              sinkInTemp
-              sinkOutTemp
-              compressorDischarge
-              __typename
-            }
-            openTherm {
-              roomTemp
-              roomSetpTemp
-              __typename
-            }
-            status {
-              signalStrength
-              operatorName
-              __typename
-            }
-            __typename
-          }
-        }`
-      );
-      
-      if (result.data && result.data.interface) {
-        const interfaceObj = result.data.interface;
-        const heatPump = interfaceObj.pvtHeatPump;
-        const openTherm = interfaceObj.openTherm;
-        
-        // Log the important values
-        this.log('Heat pump status:', {
-          name: interfaceObj.name,
-          dhwBoilerTemp: heatPump.dhwBoilerTemp,
-          dhwMode: heatPump.dhwMode,
-          dhwState: heatPump.dhwState,
-          spaceHeatingCoolingState: heatPump.spaceHeatingCoolingState,
-          roomTemp: openTherm?.roomTemp || null,
-          roomSetpTemp: openTherm?.roomSetpTemp || null
-        });
-        
-        // Update capabilities
-        await this.setAvailable();
-        
-        // Update all temperature measurements
-        await this.setCapabilityValue('measure_temperature.boiler', heatPump.dhwBoilerTemp);
-        await this.setCapabilityValue('measure_temperature.source_return', heatPump.sourceInTemp);
-        await this.setCapabilityValue('measure_temperature.source_supply', heatPump.sourceOutTemp);
-        await this.setCapabilityValue('measure_temperature.distribution_return', heatPump.sinkInTemp);
-        await this.setCapabilityValue('measure_temperature.distribution_supply', heatPump.sinkOutTemp);
-        await this.setCapabilityValue('measure_temperature.compressor_discharge', heatPump.compressorDischarge);
-
-        // Energy consumption (if available)
-        if (heatPump.sourcePumpPerc !== undefined) {
-          // Simplified power estimation, can be adjusted with better calculation
-          const estimatedPower = heatPump.compressorOn ? 500 : 0; // Simplified estimation
-          await this.setCapabilityValue('measure_power', estimatedPower);
-        }
+      const { min, max } = this.getSetpointLimits(capability);
+      const temperature = Math.min(Math.max(value, min), max);
+      if (temperature !== value) {
+        this.log(`${capability} ${value} limited to ${temperature} (${min}-${max})`);
+      }
 
-        // Update boiler mode based on dhwMode instead of dhwState
-        // Boiler is active if dhwMode is 'AUTO'
-        const boilerIsOn = heatPump.dhwMode === 'AUTO';
-        this.log(`Boiler mode: ${heatPump.dhwMode}, state: ${heatPump.dhwState}, interpreting as ${boilerIsOn ? 'ON' : 'OFF'}`);
-        
-        const currentBoilerMode = this.getCapabilityValue('onoff.boiler');
-        this.log(`Current boiler mode: ${currentBoilerMode}, new boiler mode: ${boilerIsOn}`);
-        
-        // Only update if there hasn't been a recent manual change (within 5 minutes)
-        const timeSinceLastChange = Date.now() - (this.lastBoilerModeChange || 0);
-        const recentlyChanged = timeSinceLastChange < 5 * 60 * 1000; // 5 minutes
-        
-        if (currentBoilerMode !== boilerIsOn && !recentlyChanged) {
-          this.log(`Boiler mode has changed from ${currentBoilerMode} to ${boilerIsOn} (no recent manual change)`);
-          await this.setCapabilityValue('onoff.boiler', boilerIsOn);
-          
-          // Trigger the flow
-          const tokens = {
-            boiler_mode: boilerIsOn
-          };
-          this.log(`Triggering flow for boiler mode change, mode=${boilerIsOn}`);
-          this.driver.triggerBoilerModeChanged(this, tokens);
-        } else if (currentBoilerMode !== boilerIsOn && recentlyChanged) {
-          this.log(`Boiler status differs from setting, but not updating due to recent manual change (${Math.round(timeSinceLastChange / 1000)}s ago)`);
-        }
+      this.log(`Setting ${capability} (${field}) to ${temperature}`);
+      const updated = await this.updatePvtHeatPump({ [field]: temperature });
+      if (!updated) {
+        throw new Error('Failed to set temperature');
       }
-      
-      // Reset error counter on successful poll
-      this.resetErrorCounter();
-      
-      // If the device was unavailable, set it available again
-      if (!this.getAvailable()) {
-        this.log('Device is back online, setting available');
-        await this.setAvailable();
+
+      await this.setCapabilityValue(capability, temperature);
+      this.lastSetpointChange[capability] = Date.now();
+      this.onMutation();
+
+      // The boiler setpoint is also shown in the device settings
+      if (field === 'dhwAutoTemp') {
+        await this.setSettings({ dhw_auto_temp: temperature })
+          .catch((err) => this.error('Failed to update the boiler setpoint setting:', err));
       }
-      
     } catch (error) {
-      this.error('Error polling TripleSolar:', error);
-      // Handle consecutive errors
-      await this.handleError();
+      this.error(`Failed to set ${capability}:`, error);
+      throw new Error('Failed to set target temperature');
     }
   }
 
   async onCapabilityTargetTemperature(value) {
-    try {
-      const result = await this.makeApiCall(
-        'SetTargetTemperature',
-        {
-          interfaceId: this.interfaceId,
-          temperature: value
-        },
-        `mutation SetTargetTemperature($interfaceId: ID!, $temperature: Float!) {
-          setTargetTemperature(interfaceId: $interfaceId, temperature: $temperature) {
-            success
-            message
-            __typename
-          }
-        }`
-      );
-      
-      if (result.data && result.data.setTargetTemperature && result.data.setTargetTemperature.success) {
-        await this.setCapabilityValue('target_temperature.boiler', value);
+    return this.setSetpoint('target_temperature.boiler', value);
+  }
+
+  // Write a switch and check on the next poll that the heat pump applied it
+  async setSwitch(capability, value) {
+    const { section, field } = SWITCHES[capability];
+
+    this.log(`Setting ${capability} (${section}.${field}) to ${value}`);
+    const updated = await this.updatePvtHeatPump({ [field]: value });
+    if (!updated) {
+      throw new Error('Failed to change the setting');
+    }
+
+    await this.setCapabilityValue(capability, value);
+    this.pendingSwitches[capability] = { value, changedAt: Date.now() };
+    this.onMutation();
+  }
+
+  // Show a switch read from the heat pump. When it was just changed from
+  // Homey, the change is given time to be applied; only a different value
+  // after that means it was not.
+  async syncSwitch(capability, value) {
+    if (typeof value !== 'boolean') {
+      return;
+    }
+
+    const pending = this.pendingSwitches[capability];
+    if (pending) {
+      if (value !== pending.value && Date.now() - pending.changedAt < CHANGE_SYNC_DELAY) {
+        this.log(`${capability} not applied by the heat pump yet`);
+        return;
+      }
+
+      delete this.pendingSwitches[capability];
+      if (value === pending.value) {
+        this.log(`${capability} confirmed by the heat pump`);
+        await this.unsetWarning().catch(this.error);
       } else {
-        throw new Error(result.data?.setTargetTemperature?.message || 'Failed to set temperature');
+        this.error(`${capability} was set to ${pending.value} but the heat pump reports ${value}`);
+        await this.setWarning(`The heat pump did not apply the change to ${SWITCHES[capability].name}`)
+          .catch(this.error);
       }
-    } catch (error) {
-      this.error('Failed to set target temperature:', error);
-      throw new Error('Failed to set target temperature');
+    }
+
+    if (value !== this.getCapabilityValue(capability)) {
+      await this.setCapabilityValue(capability, value);
+    }
+  }
+
+  // Start or stop a boost. A started boost ends after `duration` minutes, or
+  // the duration from the settings when switched on from the device.
+  async setBoost(type, enabled, duration = this.getSetting('boost_duration') || 60) {
+    const { capability, field } = BOOSTS[type];
+
+    this.log(enabled ? `Starting ${type} boost for ${duration} minutes` : `Stopping ${type} boost`);
+    const updated = await this.updatePvtHeatPump({ [field]: enabled });
+    if (!updated) {
+      throw new Error('Failed to set boost');
+    }
+
+    await this.setCapabilityValue(capability, enabled);
+    this.lastBoostChange[type] = Date.now();
+    this.onMutation();
+
+    if (enabled) {
+      const boostEnds = this.getStoreValue('boostEnds') || {};
+      boostEnds[type] = Date.now() + duration * MINUTE;
+      await this.setStoreValue('boostEnds', boostEnds);
+      this.startBoostTimer(type, boostEnds[type]);
+    } else {
+      await this.finishBoost(type, false);
+    }
+  }
+
+  restoreTimers() {
+    this.restoreBoosts();
+    this.priceScheduler.run()
+      .catch((err) => this.error('Failed to restore the price schedule:', err));
+    this.weeklyScheduler.evaluate()
+      .catch((err) => this.error('Failed to restore the weekly schedule:', err));
+    this.hotWaterPlanner.run()
+      .catch((err) => this.error('Failed to restore the hot water plan:', err));
+  }
+
+  restoreBoosts() {
+    const boostEnds = this.getStoreValue('boostEnds') || {};
+    for (const [type, endsAt] of Object.entries(boostEnds)) {
+      this.log(`Restoring ${type} boost, ends in ${Math.max(Math.round((endsAt - Date.now()) / MINUTE), 0)} minutes`);
+      this.startBoostTimer(type, endsAt);
+    }
+  }
+
+  startBoostTimer(type, endsAt) {
+    this.homey.clearTimeout(this.boostTimeouts[type]);
+    this.boostTimeouts[type] = this.homey.setTimeout(() => {
+      this.endBoost(type).catch((err) => {
+        this.error(`Failed to end ${type} boost, trying again:`, err);
+        this.startBoostTimer(type, Date.now() + BOOST_RETRY_DELAY);
+      });
+    }, Math.max(endsAt - Date.now(), 0));
+  }
+
+  // Switch a boost off when its time is up
+  async endBoost(type) {
+    const { capability, field } = BOOSTS[type];
+
+    this.log(`${type} boost expired`);
+    const updated = await this.updatePvtHeatPump({ [field]: false });
+    if (!updated) {
+      throw new Error('Failed to end boost');
+    }
+
+    await this.setCapabilityValue(capability, false);
+    this.lastBoostChange[type] = Date.now();
+    this.onMutation();
+    await this.finishBoost(type, true);
+  }
+
+  // Forget the end time of a boost and report that it ended
+  async finishBoost(type, expired) {
+    this.homey.clearTimeout(this.boostTimeouts[type]);
+    delete this.boostTimeouts[type];
+
+    const boostEnds = this.getStoreValue('boostEnds') || {};
+    if (!(type in boostEnds)) {
+      return;
+    }
+
+    delete boostEnds[type];
+    await this.setStoreValue('boostEnds', boostEnds);
+    this.driver.triggerBoostEnded(this, type, expired);
+  }
+
+  // Show a boost read from the heat pump; one that was switched off there
+  // no longer needs to be ended by the app
+  async syncBoost(type, enabled) {
+    if (typeof enabled !== 'boolean' || Date.now() - (this.lastBoostChange[type] || 0) < CHANGE_SYNC_DELAY) {
+      return;
+    }
+
+    const { capability } = BOOSTS[type];
+    if (enabled !== this.getCapabilityValue(capability)) {
+      this.log(`${type} boost ${enabled ? 'started' : 'ended'} on the heat pump`);
+      await this.setCapabilityValue(capability, enabled);
+    }
+
+    if (!enabled) {
+      await this.finishBoost(type, false);
     }
   }
 
   async onCapabilityBoilerMode(value) {
+    // onoff.boiler switches between AUTO and OFF
+    return this.setDhwMode(value ? 'AUTO' : 'OFF');
+  }
+
+  async onCapabilityDhwMode(mode) {
+    return this.setDhwMode(mode);
+  }
+
+  async setDhwMode(mode) {
     try {
       // Log the action for debugging
-      this.log(`Setting boiler mode to ${value ? 'AUTO' : 'OFF'}`);
+      this.log(`Setting boiler mode to ${mode}`);
       
       try {
         // First method - standard GraphQL mutation
-        const result = await this.makeApiCall(
-          'UpdatePvtHeatPumpSettings',
-          {
-            interfaceIds: [this.interfaceId],
-            pvtHeatPumpdata: {
-              dhwMode: value ? 'AUTO' : 'OFF'
-            }
-          },
-          `mutation UpdatePvtHeatPumpSettings($interfaceIds: [String!]!, $pvtHeatPumpdata: PvtHeatPumpInput!) {
-            updatePvtHeatPump(data: $pvtHeatPumpdata, interfaceIds: $interfaceIds)
-          }`
-        );
+        const updated = await this.updatePvtHeatPump({
+          dhwMode: mode,
+        });
         
-        if (result.data && (result.data.updatePvtHeatPump === true || result.data.updatePvtHeatPump === null)) {
-          this.log('Boiler mode successfully updated to', value ? 'AUTO' : 'OFF');
-          await this.setCapabilityValue('onoff.boiler', value);
+        if (updated) {
+          this.log('Boiler mode successfully updated to', mode);
           
           // Save the timestamp of this change
           this.lastBoilerModeChange = Date.now();
+          this.onMutation();
           
-          // Trigger the flow
-          const tokens = {
-            boiler_mode: value
-          };
-          this.driver.triggerBoilerModeChanged(this, tokens);
-          
+          await this.applyDhwMode(mode);
           return true;
         }
         this.log('First method failed, trying alternative method...');
@@ -655,7 +1164,7 @@ class TripleSolarDevice extends Device {
           'SetBoilerMode',
           {
             interfaceId: this.interfaceId,
-            mode: value ? 'AUTO' : 'OFF'
+            mode,
           },
           `mutation SetBoilerMode($interfaceId: ID!, $mode: String!) {
             setDhwMode(interfaceId: $interfaceId, mode: $mode) {
@@ -667,18 +1176,13 @@ class TripleSolarDevice extends Device {
         );
         
         if (altResult.data && altResult.data.setDhwMode && altResult.data.setDhwMode.success) {
-          this.log('Boiler mode successfully updated using alternative method to', value ? 'AUTO' : 'OFF');
-          await this.setCapabilityValue('onoff.boiler', value);
+          this.log('Boiler mode successfully updated using alternative method to', mode);
           
           // Save the timestamp of this change
           this.lastBoilerModeChange = Date.now();
+          this.onMutation();
           
-          // Trigger the flow
-          const tokens = {
-            boiler_mode: value
-          };
-          this.driver.triggerBoilerModeChanged(this, tokens);
-          
+          await this.applyDhwMode(mode);
           return true;
         } else {
           this.error('Alternative method failed:', altResult);
@@ -694,30 +1198,64 @@ class TripleSolarDevice extends Device {
     }
   }
 
-  // updating device-level tokens, also update app-wide credentials
-  async updateGlobalTokens() {
-    // Only update if both tokens are available
-    if (this.accessToken && this.refreshToken) {
-      const appCredentials = this.homey.app.getCredentials() || {};
-      
-      // Update with new token values
-      appCredentials.accessToken = this.accessToken;
-      appCredentials.refreshToken = this.refreshToken;
-      appCredentials.timestamp = Date.now();
-      
-      // Only update username/password if not already present
-      if (!appCredentials.username && this.username) {
-        appCredentials.username = this.username;
-      }
-      
-      if (!appCredentials.password && this.password) {
-        appCredentials.password = this.password;
-      }
-      
-      // Store updated credentials app-wide
-      await this.homey.app.storeCredentials(appCredentials);
+  // Show a dhwMode on both boiler capabilities and trigger the flow when it changed
+  async applyDhwMode(mode) {
+    const previousMode = this.getCapabilityValue('boiler_mode');
+
+    await this.addEnumValue('boiler_mode', mode);
+    await this.setCapabilityValue('boiler_mode', mode)
+      .catch((err) => this.error(`Could not show boiler mode ${mode}:`, err));
+    await this.setCapabilityValue('onoff.boiler', mode === 'AUTO');
+
+    // Nothing to report for the first value after an app update
+    if (previousMode === null || previousMode === mode) {
+      return;
+    }
+
+    // The solar surplus controller holds off on modes changed by others
+    await this.setStoreValue('boilerModeChangedAt', Date.now());
+
+    this.log(`Triggering flow for boiler mode change, ${previousMode} -> ${mode}`);
+    this.driver.triggerBoilerModeChanged(this, {
+      boiler_mode: mode === 'AUTO',
+      previous_mode: previousMode,
+      mode,
+    });
+  }
+
+  // All values of an enum capability with their titles, known ones first
+  getEnumValues(capability) {
+    const { values, storeKey } = ENUM_CAPABILITIES[capability];
+    const reported = this.getStoreValue(storeKey) || [];
+
+    return Object.entries(values).map(([id, title]) => ({ id, title }))
+      .concat(reported.map((id) => ({ id, title: { en: id } })));
+  }
+
+  // Remember enum values the app doesn't know yet and add them to the capability
+  async addEnumValue(capability, value) {
+    const { values, storeKey } = ENUM_CAPABILITIES[capability];
+    const reported = this.getStoreValue(storeKey) || [];
+    if (values[value] || reported.includes(value)) {
+      return;
     }
+
+    this.log(`New ${capability} value reported: ${value}`);
+    reported.push(value);
+    await this.setStoreValue(storeKey, reported);
+    await this.updateEnumValues(capability);
+  }
+
+  async updateEnumValues(capability) {
+    const { storeKey } = ENUM_CAPABILITIES[capability];
+    if (!(this.getStoreValue(storeKey) || []).length) {
+      return;
+    }
+
+    await this.setCapabilityOptions(capability, { values: this.getEnumValues(capability) })
+      .catch((err) => this.error(`Failed to update ${capability} values:`, err));
   }
+
 }
 
 module.exports = TripleSolarDevice; 
\ No newline at end of file
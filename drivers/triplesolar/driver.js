@@ -1,9 +1,38 @@
 'use strict';
 
 const { Driver } = require('homey');
-const fetch = require('node-fetch');
+const { maskUsername, getAccountId } = require('../../lib/TripleSolarClient');
+const { parseTime } = require('../../lib/LocalTime');
 
-const TRIPLESOLAR_API = 'https://app.triplesolar.eu/graphql';
+// Operating state capabilities with their trigger and condition cards
+const OPERATING_STATE_CARDS = {
+  compressor_on: { trigger: 'compressor_changed', condition: 'compressor_is_on' },
+  electric_element_on: { trigger: 'electric_element_changed', condition: 'electric_element_is_on' },
+  pump_relay_on: { trigger: 'pump_relay_changed', condition: 'pump_relay_is_on' },
+  cooling_valve_enabled: { trigger: 'cooling_valve_changed', condition: 'cooling_valve_is_enabled' },
+  manual_cooling_on: { trigger: 'manual_cooling_changed', condition: 'manual_cooling_is_on' },
+  measure_source_pump: { trigger: 'source_pump_changed', condition: 'source_pump_above' },
+  measure_sink_pump: { trigger: 'sink_pump_changed', condition: 'sink_pump_above' },
+};
+
+// State capabilities with their trigger and condition cards
+const STATE_CARDS = {
+  dhw_state: { trigger: 'dhw_state_changed', condition: 'dhw_state_is' },
+  space_heating_cooling_state: { trigger: 'space_heating_cooling_state_changed', condition: 'space_heating_cooling_state_is' },
+};
+
+// Dropdown ids of flows made with the old on/off cards, mapped to dhwMode values
+const FLOW_DHW_MODES = {
+  on: 'AUTO',
+  off: 'OFF',
+};
+
+// dhwMode of a mode argument: an autocomplete item, or an on/off id of an
+// older flow
+function getFlowDhwMode(mode) {
+  const id = mode && typeof mode === 'object' ? mode.id : mode;
+  return FLOW_DHW_MODES[id] || id;
+}
 
 class TripleSolarDriver extends Driver {
   
@@ -14,19 +43,184 @@ class TripleSolarDriver extends Driver {
     this._boilerModeChangedTrigger = this.homey.flow.getDeviceTriggerCard('boiler_mode_changed');
     this._isBoilerModeCondition = this.homey.flow.getConditionCard('is_boiler_mode');
     this._setBoilerModeAction = this.homey.flow.getActionCard('set_boiler_mode');
+    this._setBoilerTemperatureAction = this.homey.flow.getActionCard('set_boiler_temperature');
 
     // Register handlers for flow cards
     this._isBoilerModeCondition.registerRunListener(async (args, state) => {
-      const currentMode = await args.device.getCapabilityValue('onoff.boiler');
-      return currentMode === true;
+      // Flows created before the mode argument check for AUTO
+      const mode = getFlowDhwMode(args.mode) || 'AUTO';
+      const currentMode = await args.device.getCapabilityValue('boiler_mode');
+      return currentMode === mode;
     });
 
     this._setBoilerModeAction.registerRunListener(async (args, state) => {
       const device = args.device;
-      const newMode = args.mode === 'on';
-      await device.onCapabilityBoilerMode(newMode);
+      const mode = getFlowDhwMode(args.mode);
+      await device.setDhwMode(mode);
+      return true;
+    });
+
+    // Modes to pick from: the known ones and those the heat pump reported
+    const autocompleteBoilerMode = async (query, args) => {
+      const language = this.homey.i18n.getLanguage();
+      return args.device.getEnumValues('boiler_mode')
+        .map(({ id, title }) => ({ id, name: title[language] || title.en }))
+        .filter(({ id, name }) => `${id} ${name}`.toLowerCase().includes(query.toLowerCase()));
+    };
+    this._isBoilerModeCondition.registerArgumentAutocompleteListener('mode', autocompleteBoilerMode);
+    this._setBoilerModeAction.registerArgumentAutocompleteListener('mode', autocompleteBoilerMode);
+
+    this._setBoilerTemperatureAction.registerRunListener(async (args, state) => {
+      await args.device.onCapabilityTargetTemperature(args.temperature);
       return true;
     });
+
+    this.homey.flow.getActionCard('boost_hot_water')
+      .registerRunListener(async (args, state) => {
+        await args.device.setBoost('dhw', true, args.duration);
+        return true;
+      });
+
+    this.homey.flow.getActionCard('boost_space_heating')
+      .registerRunListener(async (args, state) => {
+        await args.device.setBoost('sh', true, args.duration);
+        return true;
+      });
+
+    this.homey.flow.getActionCard('stop_boost')
+      .registerRunListener(async (args, state) => {
+        await args.device.setBoost(args.boost, false);
+        return true;
+      });
+
+    this._boostEndedTrigger = this.homey.flow.getDeviceTriggerCard('boost_ended');
+    this._boostEndedTrigger.registerRunListener(async (args, state) => {
+      return args.boost === state.boost;
+    });
+
+    this.homey.flow.getActionCard('set_backup_heater')
+      .registerRunListener(async (args, state) => {
+        await args.device.setSwitch('onoff.backup_heater', args.state === 'on');
+        return true;
+      });
+
+    this.homey.flow.getActionCard('report_grid_export')
+      .registerRunListener(async (args, state) => {
+        await args.device.surplusController.setExport(args.power);
+        return true;
+      });
+
+    this._surplusDecisionTrigger = this.homey.flow.getDeviceTriggerCard('surplus_decision');
+
+    this.homey.flow.getActionCard('plan_cheapest_hours')
+      .registerRunListener(async (args, state) => {
+        const deadline = parseTime(args.deadline);
+        if (deadline === null) {
+          throw new Error('Enter the deadline as HH:MM, e.g. 07:00');
+        }
+        await args.device.priceScheduler.plan(args.prices, args.hours, deadline);
+        return true;
+      });
+
+    this.homey.flow.getActionCard('cancel_price_schedule')
+      .registerRunListener(async (args, state) => {
+        await args.device.priceScheduler.cancel();
+        return true;
+      });
+
+    this._priceSchedulePlannedTrigger = this.homey.flow.getDeviceTriggerCard('price_schedule_planned');
+
+    this.homey.flow.getActionCard('heat_hot_water_by')
+      .registerRunListener(async (args, state) => {
+        const time = parseTime(args.time);
+        if (time === null) {
+          throw new Error('Enter the time as HH:MM, e.g. 07:00');
+        }
+        await args.device.hotWaterPlanner.plan(args.temperature, time);
+        return true;
+      });
+
+    this.homey.flow.getActionCard('cancel_hot_water_plan')
+      .registerRunListener(async (args, state) => {
+        await args.device.hotWaterPlanner.cancel();
+        return true;
+      });
+
+    this.homey.flow.getActionCard('set_heating_setpoint')
+      .registerRunListener(async (args, state) => {
+        await args.device.setSetpoint('target_temperature.heating', args.temperature);
+        return true;
+      });
+
+    this.homey.flow.getActionCard('set_cooling_setpoint')
+      .registerRunListener(async (args, state) => {
+        await args.device.setSetpoint('target_temperature.cooling', args.temperature);
+        return true;
+      });
+
+    // Operating state cards: booleans filter on the on/off dropdown,
+    // pump percentages compare against the percentage argument
+    this._operatingStateTriggers = {};
+    for (const [capability, cards] of Object.entries(OPERATING_STATE_CARDS)) {
+      const trigger = this.homey.flow.getDeviceTriggerCard(cards.trigger);
+      const condition = this.homey.flow.getConditionCard(cards.condition);
+
+      if (capability.startsWith('measure_')) {
+        condition.registerRunListener(async (args, state) => {
+          return args.device.getCapabilityValue(capability) > args.percentage;
+        });
+      } else {
+        trigger.registerRunListener(async (args, state) => {
+          return args.state === (state.on ? 'on' : 'off');
+        });
+        condition.registerRunListener(async (args, state) => {
+          return args.device.getCapabilityValue(capability) === true;
+        });
+      }
+
+      this._operatingStateTriggers[capability] = trigger;
+    }
+
+    // Fires once when the COP crosses the threshold, and again at the start
+    // of a day that starts below it
+    this._dailyCopBelowTrigger = this.homey.flow.getDeviceTriggerCard('daily_cop_below');
+    this._dailyCopBelowTrigger.registerRunListener(async (args, state) => {
+      return state.cop < args.cop && (state.previous === null || state.previous >= args.cop);
+    });
+
+    // Fires once when the hot water drops past the threshold
+    this._hotWaterBelowTrigger = this.homey.flow.getDeviceTriggerCard('hot_water_below');
+    this._hotWaterBelowTrigger.registerRunListener(async (args, state) => {
+      return state.litres < args.litres && state.previous >= args.litres;
+    });
+
+    this._heatPumpErrorTriggers = {
+      raised: this.homey.flow.getDeviceTriggerCard('heat_pump_error_raised'),
+      cleared: this.homey.flow.getDeviceTriggerCard('heat_pump_error_cleared'),
+    };
+
+    this.homey.flow.getConditionCard('dhw_is_heating')
+      .registerRunListener(async (args, state) => {
+        return args.device.isDhwHeating();
+      });
+
+    // State cards: conditions offer the states the device has reported so far
+    this._stateTriggers = {};
+    for (const [capability, cards] of Object.entries(STATE_CARDS)) {
+      const condition = this.homey.flow.getConditionCard(cards.condition);
+
+      condition.registerArgumentAutocompleteListener('state', async (query, args) => {
+        const language = this.homey.i18n.getLanguage();
+        return args.device.getEnumValues(capability)
+          .map(({ id, title }) => ({ id, name: title[language] || title.en }))
+          .filter(({ name }) => name.toLowerCase().includes(query.toLowerCase()));
+      });
+      condition.registerRunListener(async (args, state) => {
+        return args.device.getCapabilityValue(capability) === args.state.id;
+      });
+
+      this._stateTriggers[capability] = this.homey.flow.getDeviceTriggerCard(cards.trigger);
+    }
   }
 
   // Method to activate the boiler mode changed trigger
@@ -35,93 +229,115 @@ class TripleSolarDriver extends Driver {
       .catch(this.error);
   }
 
+  // Method to activate the trigger of an operating state capability
+  triggerOperatingStateChanged(device, capability, value) {
+    const trigger = this._operatingStateTriggers[capability];
+    const args = capability.startsWith('measure_')
+      ? [device, { percentage: value }, {}]
+      : [device, {}, { on: value }];
+
+    trigger.trigger(...args)
+      .catch(this.error);
+  }
+
+  // Method to activate the trigger of a state capability
+  triggerStateChanged(device, capability, previous, value) {
+    this._stateTriggers[capability].trigger(device, {
+      previous_state: previous,
+      state: value,
+    })
+      .catch(this.error);
+  }
+
+  // Method to activate the daily COP trigger, which filters on the threshold
+  triggerDailyCopChanged(device, previous, cop) {
+    this._dailyCopBelowTrigger.trigger(device, { cop }, { previous, cop })
+      .catch(this.error);
+  }
+
+  // Method to activate the hot water below trigger, which filters on the amount
+  triggerHotWaterChanged(device, previous, litres, showers) {
+    this._hotWaterBelowTrigger.trigger(device, { litres, showers }, { previous, litres })
+      .catch(this.error);
+  }
+
+  // Method to activate the error raised or cleared trigger
+  triggerHeatPumpError(device, change, error) {
+    this._heatPumpErrorTriggers[change].trigger(device, {
+      code: error.code,
+      description: error.description,
+    })
+      .catch(this.error);
+  }
+
+  // Method to activate the boost ended trigger
+  triggerBoostEnded(device, boost, expired) {
+    this._boostEndedTrigger.trigger(device, { expired }, { boost })
+      .catch(this.error);
+  }
+
+  // Method to activate the solar surplus decision trigger
+  triggerSurplusDecision(device, tokens) {
+    this._surplusDecisionTrigger.trigger(device, tokens)
+      .catch(this.error);
+  }
+
+  // Method to activate the price schedule planned trigger
+  triggerPriceSchedulePlanned(device, tokens) {
+    this._priceSchedulePlannedTrigger.trigger(device, tokens)
+      .catch(this.error);
+  }
+
   async onPair(session) {
     this.log('Pairing session started');
     
-    let username = '';
-    let password = '';
-    let accessToken = '';
-    let refreshToken = '';
-    
-    // Check if we already have app-wide stored credentials
-    const appCredentials = this.homey.app.getCredentials();
-    if (appCredentials) {
-      this.log('Found stored credentials, will try to use them');
-      accessToken = appCredentials.accessToken || '';
-      refreshToken = appCredentials.refreshToken || '';
-      username = appCredentials.username || '';
-      password = appCredentials.password || '';
-      
-      // Auto-advance to list_devices if we have valid tokens
-      if (accessToken && refreshToken) {
-        this.log('Valid tokens found, auto-advancing to device discovery');
-        session.showView('list_devices');
+    // Account the new devices will be linked to, picked or added below
+    let accountId = null;
+    let client = null;
+
+    // Accounts the user can pick from in the select_account view
+    session.setHandler('get_accounts', async () => {
+      return this.homey.app.getAccountIds()
+        .filter((id) => this.homey.app.getClient(id).hasTokens())
+        .map((id) => {
+          const credentials = this.homey.app.getCredentials(id);
+          return {
+            id,
+            name: maskUsername(credentials.username || id),
+          };
+        });
+    });
+
+    session.setHandler('select_account', async (id) => {
+      if (!this.homey.app.getClient(id).hasTokens()) {
+        throw new Error('This account needs to log in again');
       }
-    }
+
+      this.log('Existing account selected');
+      accountId = id;
+      client = this.homey.app.getClient(id);
+      return true;
+    });
 
     session.setHandler('login', async (data) => {
       try {
-        this.log('Login handler called with data:', JSON.stringify(data));
-        username = data.username;
-        password = data.password;
-
-        this.log(`Attempting to login with username: ${username}`);
-        const response = await fetch('https://app.triplesolar.eu/auth/login', {
-          method: 'POST',
-          headers: {
-            'accept': '*/*',
-            'content-type': 'application/json',
-            'origin': 'https://app.triplesolar.eu',
-            'user-agent': 'Homey/TripleSolar'
-          },
-          body: JSON.stringify({
-            email: username,
-            password: password
-          })
-        });
-
-        this.log('Login response status:', response.status);
-        
-        // Lees de response text en log deze voor debugging (zonder gevoelige details)
-        const responseText = await response.text();
-        this.log(`Login response received (${responseText.length} characters)`);
-        
-        let result;
-        try {
-          result = JSON.parse(responseText);
-        } catch (jsonError) {
-          this.error('Could not parse login response as JSON:', jsonError);
-          return false;
-        }
-        
-        // Log maar verberg sensitieve data
-        if (result.accessToken) {
-          this.log('Access token received');
-          accessToken = result.accessToken;
-        } else {
-          this.error('No access token in response');
-          return false;
-        }
-        
-        if (result.refreshToken) {
-          this.log('Refresh token received');
-          refreshToken = result.refreshToken;
-        } else {
-          this.error('No refresh token in response');
+        this.log('Login handler called');
+        if (!data.username) {
           return false;
         }
 
-        // Store credentials app-wide
-        await this.homey.app.storeCredentials({
-          username,
-          password,
-          accessToken,
-          refreshToken,
-          timestamp: Date.now()
-        });
+        accountId = getAccountId(data.username);
+        client = this.homey.app.getClient(accountId);
 
-        this.log('Login successful');
-        return true;
+        // The password is only passed on to the login request, never kept
+        const loggedIn = await client.login(data.username, data.password);
+        this.log(loggedIn ? 'Login successful' : 'Login failed');
+
+        if (loggedIn) {
+          // Devices of this account that were waiting for a new login can resume
+          await this.onAccountRepaired(accountId);
+        }
+        return loggedIn;
       } catch (error) {
         this.error('Login failed with error:', error.message);
         this.error('Error stack:', error.stack);
@@ -131,15 +347,19 @@ class TripleSolarDriver extends Driver {
 
     session.setHandler('list_devices', async () => {
       try {
-        this.log('List devices handler called with accessToken:', accessToken ? 'Valid token present' : 'No valid token');
+        if (!client) {
+          this.error('No account selected');
+          return [];
+        }
+
+        this.log('List devices handler called with accessToken:', client.getAccessToken() ? 'Valid token present' : 'No valid token');
         // Get the interfaces first
         this.log('Making API request to TripleSolar GraphQL endpoint');
         
-        // GraphQL query for debugging
-        const graphqlQuery = {
-          operationName: 'Interfaces',
-          variables: {},
-          query: `query Interfaces {
+        const result = await client.query(
+          'Interfaces',
+          {},
+          `query Interfaces {
   interfaces {
     ...InterfaceFields
     __typename
@@ -157,54 +377,15 @@ fragment InterfaceFields on Interface {
   }
   __typename
 }`
-        };
-        
-        this.log('GraphQL query:', JSON.stringify(graphqlQuery));
-        
-        const response = await fetch(TRIPLESOLAR_API, {
-          method: 'POST',
-          headers: {
-            'accept': '*/*',
-            'content-type': 'application/json',
-            'authorization': `Bearer ${accessToken}`,
-            'origin': 'https://app.triplesolar.eu',
-            'user-agent': 'Homey/TripleSolar'
-          },
-          body: JSON.stringify(graphqlQuery)
-        });
-
-        this.log('API response status:', response.status);
-        
-        // Full response for debugging
-        const responseText = await response.text();
-        this.log('API response text:', responseText);
-        
-        // Parse the JSON after logging the full text
-        let result;
-        try {
-          result = JSON.parse(responseText);
-        } catch (jsonError) {
-          this.error('Failed to parse JSON response:', jsonError.message);
-          return [];
-        }
+        );
         
         if (result.errors) {
           this.log('GraphQL errors:', JSON.stringify(result.errors));
         }
         
-        // Check different parts of the response
-        this.log('Response data exists:', result.data !== undefined);
-        if (result.data) {
-          this.log('Interfaces exists:', result.data.interfaces !== undefined);
-          if (result.data.interfaces) {
-            this.log('Interfaces is array:', Array.isArray(result.data.interfaces));
-            this.log('Interfaces length:', result.data.interfaces.length);
-          }
-        }
-        
         if (result.data && result.data.interfaces && Array.isArray(result.data.interfaces) && result.data.interfaces.length > 0) {
           this.log(`Found ${result.data.interfaces.length} interfaces in response`);
-          const devices = result.data.interfaces.map(interfaceObj => {
+          const devices = result.data.interfaces.map((interfaceObj) => {
             this.log(`Processing interface: ${interfaceObj.name}, ID: ${interfaceObj.id}, Online: ${interfaceObj.isOnline}`);
             return {
               name: interfaceObj.name,
@@ -212,10 +393,7 @@ fragment InterfaceFields on Interface {
                 id: interfaceObj.id
               },
               store: {
-                username: username,
-                password: password,
-                accessToken: accessToken,
-                refreshToken: refreshToken,
+                accountId,
                 lastMessage: interfaceObj.lastMessage
               },
               capabilities: ['target_temperature', 'measure_temperature', 'measure_power', 'onoff.boiler'],
@@ -236,61 +414,36 @@ fragment InterfaceFields on Interface {
         
         // Test alternatieve GraphQL query als eerste query faalt
         this.log('Trying alternative GraphQL query...');
-        const alternativeQuery = {
-          query: `{
+        const altResult = await client.query(
+          undefined,
+          undefined,
+          `{
             interfaces {
               id
               name
               isOnline
             }
           }`
-        };
-        
-        this.log('Alternative query:', JSON.stringify(alternativeQuery));
-        
-        const altResponse = await fetch(TRIPLESOLAR_API, {
-          method: 'POST',
-          headers: {
-            'accept': '*/*',
-            'content-type': 'application/json',
-            'authorization': `Bearer ${accessToken}`,
-            'origin': 'https://app.triplesolar.eu',
-            'user-agent': 'Homey/TripleSolar'
-          },
-          body: JSON.stringify(alternativeQuery)
-        });
+        );
         
-        this.log('Alternative API response status:', altResponse.status);
-        const altResponseText = await altResponse.text();
-        this.log('Alternative API response text:', altResponseText);
-        
-        // Test alternative API connection to see if we can get any device information
-        try {
-          const altResult = JSON.parse(altResponseText);
-          if (altResult.data && altResult.data.interfaces && Array.isArray(altResult.data.interfaces) && altResult.data.interfaces.length > 0) {
-            this.log(`Found ${altResult.data.interfaces.length} interfaces using alternative query`);
-            const devices = altResult.data.interfaces.map(interfaceObj => {
-              return {
-                name: interfaceObj.name || 'TripleSolar Heat Pump',
-                data: {
-                  id: interfaceObj.id
-                },
-                store: {
-                  username: username,
-                  password: password,
-                  accessToken: accessToken,
-                  refreshToken: refreshToken
-                },
-                capabilities: ['target_temperature', 'measure_temperature', 'measure_power', 'onoff.boiler'],
-                available: interfaceObj.isOnline
-              };
-            });
-            
-            this.log('Returning devices from alternative query:', devices.length);
-            return devices;
-          }
-        } catch (err) {
-          this.error('Failed to parse alternative query response:', err);
+        if (altResult.data && altResult.data.interfaces && Array.isArray(altResult.data.interfaces) && altResult.data.interfaces.length > 0) {
+          this.log(`Found ${altResult.data.interfaces.length} interfaces using alternative query`);
+          const devices = altResult.data.interfaces.map((interfaceObj) => {
+            return {
+              name: interfaceObj.name || 'TripleSolar Heat Pump',
+              data: {
+                id: interfaceObj.id,
+              },
+              store: {
+                accountId,
+              },
+              capabilities: ['target_temperature', 'measure_temperature', 'measure_power', 'onoff.boiler'],
+              available: interfaceObj.isOnline,
+            };
+          });
+          
+          this.log('Returning devices from alternative query:', devices.length);
+          return devices;
         }
         
         // If both queries fail, inform the user that no devices could be found
@@ -303,6 +456,48 @@ fragment InterfaceFields on Interface {
       }
     });
   }
+
+  // Every device of the account shares the repaired tokens, so bring them all back
+  async onAccountRepaired(accountId) {
+    const devices = this.getDevices().filter((device) => device.accountId === accountId);
+    for (const device of devices) {
+      await device.onRepaired().catch((err) => {
+        this.error(`Failed to resume ${device.getName()}:`, err);
+      });
+    }
+  }
+
+  async onRepair(session, device) {
+    this.log(`Repair session started for ${device.getName()}`);
+
+    session.setHandler('login', async (data) => {
+      try {
+        if (!data.username) {
+          return false;
+        }
+
+        const accountId = getAccountId(data.username);
+        const loggedIn = await this.homey.app.getClient(accountId).login(data.username, data.password);
+        if (!loggedIn) {
+          this.log('Repair login failed');
+          return false;
+        }
+
+        // Logging in with another account moves the device to that account
+        if (device.accountId !== accountId) {
+          await device.setAccount(accountId);
+        }
+
+        await this.onAccountRepaired(accountId);
+
+        this.log('Repair successful');
+        return true;
+      } catch (error) {
+        this.error('Repair failed with error:', error.message);
+        return false;
+      }
+    });
+  }
 }
 
 module.exports = TripleSolarDriver; 
\ No newline at end of file
@@ -0,0 +1,136 @@
+'use strict';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// A rate is measured over a stretch of polls in the same state lasting at
+// least the minimum and at most the maximum length
+const MIN_SEGMENT = 10 * MINUTE;
+const MAX_SEGMENT = HOUR;
+
+// Polls further apart than this break a stretch, the state in between is unknown
+const MAX_POLL_GAP = 30 * MINUTE;
+
+// Weight of a new measurement in the learned rate
+const SMOOTHING = 0.3;
+
+/**
+ * Learns how fast the boiler heats up while the pump heats hot water and how
+ * fast it cools down otherwise, in °C per hour, from the boiler temperature
+ * of consecutive polls. The learned rates are kept in the device store.
+ */
+class BoilerRates {
+
+  constructor({ device }) {
+    this.device = device;
+
+    // Stretch of polls in the same state that is being measured
+    this.segment = null;
+  }
+
+  log(...args) {
+    this.device.log('[Rates]', ...args);
+  }
+
+  getRates() {
+    return this.device.getStoreValue('boilerRates') || { heating: null, cooling: null };
+  }
+
+  /**
+   * Add the boiler temperature of a poll and whether the boiler was being
+   * heated. Learns a rate when a stretch ends or is long enough.
+   */
+  async sample(temp, heating, at) {
+    if (typeof temp !== 'number') {
+      this.segment = null;
+      return;
+    }
+
+    const { segment } = this;
+    const continuous = segment && at - segment.lastAt <= MAX_POLL_GAP;
+
+    if (continuous && segment.heating === heating) {
+      segment.lastAt = at;
+      segment.lastTemp = temp;
+      if (at - segment.startAt < MAX_SEGMENT) {
+        return;
+      }
+      await this.learn(segment);
+    } else if (continuous) {
+      // The state changed, measure up to the last poll in the old state
+      await this.learn(segment);
+    }
+
+    this.segment = {
+      heating, startAt: at, startTemp: temp, lastAt: at, lastTemp: temp,
+    };
+  }
+
+  async learn({
+    heating, startAt, startTemp, lastAt, lastTemp,
+  }) {
+    if (lastAt - startAt < MIN_SEGMENT) {
+      return;
+    }
+
+    const change = (lastTemp - startTemp) / ((lastAt - startAt) / HOUR);
+
+    // Hot water taken while heating, or a boiler warming up without the
+    // pump, says nothing about the rate
+    const rate = heating ? change : -change;
+    if (rate <= 0) {
+      return;
+    }
+
+    const key = heating ? 'heating' : 'cooling';
+    const rates = this.getRates();
+    rates[key] = rates[key] === null
+      ? rate
+      : rates[key] + (rate - rates[key]) * SMOOTHING;
+    rates[key] = Math.round(rates[key] * 100) / 100;
+
+    this.log(`Measured ${key} rate of ${rate.toFixed(2)} °C/h, learned ${rates[key]} °C/h`);
+    await this.device.setStoreValue('boilerRates', rates);
+  }
+
+  /**
+   * Minutes to heat the boiler from one temperature to another, 0 when it is
+   * warm enough, or null while a temperature or the heating rate is unknown
+   */
+  getHeatUpMinutes(from, to) {
+    if (typeof from !== 'number' || typeof to !== 'number') {
+      return null;
+    }
+    if (from >= to) {
+      return 0;
+    }
+
+    const { heating } = this.getRates();
+    if (!heating) {
+      return null;
+    }
+    return Math.round(((to - from) / heating) * 60);
+  }
+
+  /**
+   * Latest moment (ms) to start heating to reach the target temperature at
+   * the deadline, counting on the boiler cooling down until then. Now when
+   * the heating rate is not known yet.
+   */
+  getLatestStart(temp, target, deadline, now = Date.now()) {
+    const { heating, cooling } = this.getRates();
+    if (!heating) {
+      return now;
+    }
+
+    // Waiting s hours cools the boiler by cooling·s, which then takes
+    // heating·(hours left − s) to make up:
+    // target − temp + cooling·s = heating·(hoursLeft − s)
+    const hoursLeft = (deadline - now) / HOUR;
+    const wait = (heating * hoursLeft - (target - temp)) / (heating + (cooling || 0));
+    return now + Math.max(wait, 0) * HOUR;
+  }
+
+}
+
+module.exports = BoilerRates;
@@ -0,0 +1,113 @@
+'use strict';
+
+// Temperature lift (°C) the configured compressor power applies to
+const REFERENCE_LIFT = 30;
+
+// The compressor never draws less than this part of its configured power
+const MIN_COMPRESSOR_FACTOR = 0.5;
+
+// Specific heat of water in J/(l·°C)
+const WATER_HEAT_CAPACITY = 4186;
+
+/**
+ * Temperature lift of the compressor: from the coldest point of the source
+ * circuit to the warmest point of the distribution circuit. Null when the
+ * temperatures were not reported.
+ */
+function getTemperatureLift(heatPump) {
+  if (typeof heatPump.sinkOutTemp !== 'number' || typeof heatPump.sourceOutTemp !== 'number') {
+    return null;
+  }
+  return heatPump.sinkOutTemp - heatPump.sourceOutTemp;
+}
+
+/**
+ * Estimate the electrical power (W) of the heat pump from the state of its
+ * components. The settings hold the wattage of each component: the
+ * compressor at the reference lift plus a correction per degree of lift,
+ * the electric element, both pumps at full speed and the standby usage.
+ */
+function estimatePower(heatPump, settings) {
+  let power = settings.power_standby || 0;
+
+  if (heatPump.compressorOn) {
+    const compressorPower = settings.power_compressor || 0;
+    const lift = getTemperatureLift(heatPump);
+    const correction = lift === null ? 0 : (lift - REFERENCE_LIFT) * (settings.power_compressor_per_degree || 0);
+    power += Math.max(compressorPower + correction, compressorPower * MIN_COMPRESSOR_FACTOR);
+  }
+
+  if (heatPump.electricElementOn) {
+    power += settings.power_electric_element || 0;
+  }
+
+  // Pumps are assumed to draw power in proportion to their speed
+  power += ((heatPump.sourcePumpPerc || 0) / 100) * (settings.power_source_pump || 0);
+  power += ((heatPump.sinkPumpPerc || 0) / 100) * (settings.power_sink_pump || 0);
+
+  return Math.round(power);
+}
+
+/**
+ * Flow (l/min) of the distribution circuit at a pump speed, following the
+ * curve flow = full speed flow * speed ^ exponent. An exponent of 1 is a
+ * straight line; higher values give less flow at low speeds.
+ */
+function estimateFlow(pumpPerc, settings) {
+  if (!pumpPerc || pumpPerc <= 0) {
+    return 0;
+  }
+  const exponent = settings.flow_curve_exponent || 1;
+  return (settings.flow_at_full_speed || 0) * (Math.min(pumpPerc, 100) / 100) ** exponent;
+}
+
+/**
+ * Estimate the heat (W) delivered to the distribution circuit from its
+ * temperature difference and the flow at the current pump speed. Only
+ * heating is counted; a negative difference gives 0.
+ */
+function estimateThermalPower(heatPump, settings) {
+  if (typeof heatPump.sinkOutTemp !== 'number' || typeof heatPump.sinkInTemp !== 'number') {
+    return 0;
+  }
+
+  const deltaT = heatPump.sinkOutTemp - heatPump.sinkInTemp;
+  const flow = estimateFlow(heatPump.sinkPumpPerc, settings);
+  return Math.round(((Math.max(deltaT, 0) * flow) / 60) * WATER_HEAT_CAPACITY);
+}
+
+/**
+ * Coefficient of performance: heat delivered per unit of electricity, over
+ * the same period. Null while too little electricity was used to tell.
+ */
+function getCop(thermal, electric, minElectric = 0) {
+  if (!(electric > minElectric) || thermal < 0) {
+    return null;
+  }
+  return Math.round((thermal / electric) * 100) / 100;
+}
+
+/**
+ * Litres of water at the mixing temperature the boiler can deliver, mixing
+ * its water with cold water. Treats the tank as one temperature; a layered
+ * tank gives a bit more. 0 when the boiler is not warmer than the mix.
+ */
+function estimateMixedWater(boilerTemp, settings) {
+  const { hot_water_tank_volume: volume, hot_water_mixing_temp: mixTemp, hot_water_cold_temp: coldTemp } = settings;
+  if (typeof boilerTemp !== 'number' || !(mixTemp > coldTemp)) {
+    return null;
+  }
+  if (boilerTemp <= mixTemp) {
+    return 0;
+  }
+  return Math.round((volume * (boilerTemp - coldTemp)) / (mixTemp - coldTemp));
+}
+
+module.exports = {
+  getTemperatureLift,
+  estimatePower,
+  estimateFlow,
+  estimateThermalPower,
+  getCop,
+  estimateMixedWater,
+};
@@ -0,0 +1,53 @@
+'use strict';
+
+// Values that mean there is no error, in a list or as the whole field
+function isNoError(value) {
+  return value === undefined || value === null || value === false
+    || value === 0 || String(value).trim() === '' || String(value).trim() === '0';
+}
+
+/**
+ * Turn the errors field into a list of unique errors, each with its code and
+ * the description the heat pump reported, if any. TripleSolar does not
+ * publish its error codes, so codes are not translated. The field has no
+ * documented format, so a list of codes or error objects, a JSON string, a
+ * separated string and a single number are accepted. false, 0 and '0' mean
+ * no error.
+ */
+function parseErrors(errors) {
+  if (isNoError(errors)) {
+    return [];
+  }
+
+  if (typeof errors === 'string') {
+    try {
+      return parseErrors(JSON.parse(errors));
+    } catch (error) {
+      errors = errors.split(/[,;\s]+/);
+    }
+  }
+
+  if (!Array.isArray(errors)) {
+    errors = [errors];
+  }
+
+  const parsed = new Map();
+  for (const error of errors) {
+    const isObject = error !== null && typeof error === 'object';
+    const code = isObject ? (error.code ?? error.errorCode ?? error.id) : error;
+    if (isNoError(code)) {
+      continue;
+    }
+
+    parsed.set(String(code), {
+      code: String(code),
+      description: isObject ? (error.description || error.message || null) : null,
+    });
+  }
+
+  return [...parsed.values()];
+}
+
+module.exports = {
+  parseErrors,
+};
@@ -0,0 +1,176 @@
+'use strict';
+
+const { getNextTime, getLocalTime, formatTime } = require('./LocalTime');
+
+const MINUTE = 60 * 1000;
+
+// Start this much earlier than the learned rates say, for hot water taken
+// in the meantime and a pump that takes a while to get going
+const START_MARGIN = 15 * MINUTE;
+
+// Check the plan at least this often before heating starts, the boiler may
+// cool down faster than learned
+const CHECK_INTERVAL = 15 * MINUTE;
+
+/**
+ * Gets the boiler to a temperature by a time of day. The boiler is held off
+ * and switched on (dhwMode AUTO) at the latest moment the learned heating and
+ * cooling rates allow. The plan is kept in the device store and checked after
+ * every poll and on a timer that is restored when the app restarts.
+ */
+class HotWaterPlanner {
+
+  constructor({ device }) {
+    this.device = device;
+    this._timeout = null;
+
+    // Running check, so polls and the timer don't switch twice
+    this._runPromise = null;
+  }
+
+  log(...args) {
+    this.device.log('[Hot water]', ...args);
+  }
+
+  error(...args) {
+    this.device.error('[Hot water]', ...args);
+  }
+
+  getPlan() {
+    return this.device.getStoreValue('hotWaterPlan');
+  }
+
+  /**
+   * Plan hot water at the target temperature by a time of day (minutes after
+   * midnight). A new plan replaces the previous one.
+   */
+  async plan(target, minutes) {
+    const setpoint = this.device.getCapabilityValue('target_temperature.boiler');
+    if (typeof setpoint === 'number' && setpoint < target) {
+      throw new Error(`The boiler setpoint of ${setpoint} °C is below ${target} °C`);
+    }
+
+    const deadline = getNextTime(this.device.homey.clock.getTimezone(), minutes);
+    const plan = {
+      target, deadline, heating: false, holding: false,
+    };
+
+    // A running check would store the old plan over the new one
+    if (this._runPromise) {
+      await this._runPromise.catch(() => {});
+    }
+
+    this.log(`Planned ${target} °C by ${formatTime(minutes)}`);
+    await this.device.setStoreValue('hotWaterPlan', plan);
+    await this.run();
+    return plan;
+  }
+
+  // Stop the plan, switching the boiler back from what the plan made it do
+  async cancel() {
+    if (this._runPromise) {
+      await this._runPromise.catch(() => {});
+    }
+    this._clearTimeout();
+
+    const plan = this.getPlan();
+    if (!plan) {
+      return;
+    }
+
+    this.log('Hot water plan cancelled');
+    if (plan.heating) {
+      await this.device.setDhwMode('OFF');
+    } else if (plan.holding) {
+      await this.device.setDhwMode('AUTO');
+    }
+    await this.device.unsetStoreValue('hotWaterPlan');
+  }
+
+  /**
+   * Start heating when it is time and set a timer for the next check. Also
+   * called after every poll and after a restart.
+   */
+  run() {
+    if (!this._runPromise) {
+      this._runPromise = this._run().finally(() => {
+        this._runPromise = null;
+      });
+    }
+    return this._runPromise;
+  }
+
+  async _run() {
+    this._clearTimeout();
+
+    const plan = this.getPlan();
+    if (!plan) {
+      return;
+    }
+
+    const now = Date.now();
+    if (now >= plan.deadline) {
+      this.log('Hot water deadline reached');
+      await this.device.unsetStoreValue('hotWaterPlan');
+      return;
+    }
+
+    if (!plan.heating) {
+      const temp = this.device.getCapabilityValue('measure_temperature.boiler');
+      const start = typeof temp === 'number'
+        ? this.device.boilerRates.getLatestStart(temp, plan.target, plan.deadline, now) - START_MARGIN
+        : now;
+
+      if (start <= now) {
+        this.log(`Switching boiler on to reach ${plan.target} °C in time`);
+        await this.device.setDhwMode('AUTO');
+        plan.heating = true;
+        await this.device.setStoreValue('hotWaterPlan', plan);
+      } else {
+        // Hold the boiler off once, so it doesn't heat earlier than needed
+        if (!plan.holding) {
+          this.log(`Heating starts around ${this.formatLocal(start)}, holding the boiler off until then`);
+          if (this.device.getCapabilityValue('boiler_mode') !== 'OFF') {
+            await this.device.setDhwMode('OFF');
+          }
+          plan.holding = true;
+          await this.device.setStoreValue('hotWaterPlan', plan);
+        }
+        this._scheduleRun(Math.min(start - now, CHECK_INTERVAL));
+        return;
+      }
+    }
+
+    this._scheduleRun(plan.deadline - now);
+  }
+
+  // Local time of a timestamp, e.g. '05:40'
+  formatLocal(time) {
+    return formatTime(getLocalTime(this.device.homey.clock.getTimezone(), new Date(time)).minutes);
+  }
+
+  _scheduleRun(delay) {
+    this._clearTimeout();
+    this._timeout = this.device.homey.setTimeout(() => {
+      this._timeout = null;
+      this.run().catch((err) => {
+        this.error('Failed to carry out the hot water plan, trying again:', err);
+        this._scheduleRun(MINUTE);
+      });
+    }, delay);
+  }
+
+  stop() {
+    this._clearTimeout();
+  }
+
+  _clearTimeout() {
+    if (this._timeout) {
+      this.device.homey.clearTimeout(this._timeout);
+      this._timeout = null;
+    }
+  }
+
+}
+
+module.exports = HotWaterPlanner;
@@ -0,0 +1,76 @@
+'use strict';
+
+const MINUTE = 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Date, weekday (0 = Sunday) and minutes since midnight of a moment in the
+ * given timezone
+ */
+function getLocalTime(timezone, date = new Date()) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    year: Number(parts.year),
+    month: Number(parts.month),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+/**
+ * Minutes since midnight of a time like '07:30', or null when it is not a
+ * valid time
+ */
+function parseTime(text) {
+  const match = /^\s*(\d{1,2}):(\d{2})\s*$/.exec(text || '');
+  if (!match) {
+    return null;
+  }
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+  return hours * 60 + minutes;
+}
+
+/**
+ * Format minutes since midnight as a time like '07:30'
+ */
+function formatTime(minutes) {
+  const normalized = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return `${String(Math.floor(normalized / 60)).padStart(2, '0')}:${String(normalized % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Next moment (ms) a local time like 07:00, given in minutes since midnight,
+ * occurs in the given timezone
+ */
+function getNextTime(timezone, minutes, now = Date.now()) {
+  const local = getLocalTime(timezone, new Date(now));
+  const until = (minutes - local.minutes + MINUTES_PER_DAY) % MINUTES_PER_DAY || MINUTES_PER_DAY;
+  return now - (now % MINUTE) + until * MINUTE;
+}
+
+module.exports = {
+  MINUTES_PER_DAY,
+  getLocalTime,
+  getNextTime,
+  parseTime,
+  formatTime,
+};
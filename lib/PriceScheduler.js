@@ -0,0 +1,241 @@
+'use strict';
+
+const { getLocalTime, getNextTime, formatTime } = require('./LocalTime');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Read a price list into hourly [{ start, price }] sorted by time. Accepts an
+ * object of timestamp to price, or a list of objects with a time and a price.
+ * Timestamps are ISO dates or epoch seconds or milliseconds. Entries without
+ * a price are left out, and prices per quarter hour or other parts of an
+ * hour are averaged into the hour they fall in.
+ */
+function parsePrices(text) {
+  let input;
+  try {
+    input = typeof text === 'string' ? JSON.parse(text) : text;
+  } catch (error) {
+    throw new Error('The price list is not valid JSON');
+  }
+
+  const entries = Array.isArray(input)
+    ? input.map((item) => {
+      if (!item || typeof item !== 'object') {
+        throw new Error(`Invalid entry in the price list: ${JSON.stringify(item)}`);
+      }
+      return [item.time ?? item.start ?? item.timestamp, item.price ?? item.value];
+    })
+    : Object.entries(input || {});
+
+  // Feeds list hours without a known price yet as null, those can't be planned
+  const known = entries.filter(([, price]) => price !== null && price !== undefined && String(price).trim() !== '');
+
+  const prices = known.map(([time, price]) => {
+    const number = Number(time);
+    let start;
+    if (typeof time === 'number' || (time !== '' && !Number.isNaN(number))) {
+      // Epoch seconds or milliseconds
+      start = number < 1e12 ? number * 1000 : number;
+    } else {
+      start = Date.parse(time);
+    }
+
+    if (Number.isNaN(start) || (typeof price !== 'number' && Number.isNaN(Number(price)))) {
+      throw new Error(`Invalid entry in the price list: ${JSON.stringify(time)}`);
+    }
+    return { start, price: Number(price) };
+  });
+
+  const hours = new Map();
+  for (const { start, price } of prices.sort((a, b) => a.start - b.start)) {
+    const hour = start - (start % HOUR);
+    hours.set(hour, (hours.get(hour) || []).concat(price));
+  }
+
+  return [...hours].map(([start, hourPrices]) => ({
+    start,
+    price: hourPrices.reduce((sum, price) => sum + price, 0) / hourPrices.length,
+  }));
+}
+
+/**
+ * Plan the cheapest `hours` hourly slots from the current hour until the
+ * deadline, merged into blocks of consecutive hours
+ */
+function planCheapestHours(prices, hours, deadline, now = Date.now()) {
+  const currentHour = now - (now % HOUR);
+  const slots = prices.filter(({ start }) => start >= currentHour && start + HOUR <= deadline);
+
+  if (slots.length < hours) {
+    throw new Error(`Only ${slots.length} hours with a price are left before the deadline`);
+  }
+
+  const cheapest = [...slots]
+    .sort((a, b) => a.price - b.price || a.start - b.start)
+    .slice(0, hours)
+    .sort((a, b) => a.start - b.start);
+
+  const blocks = [];
+  for (const { start, price } of cheapest) {
+    const last = blocks[blocks.length - 1];
+    if (last && last.end === start) {
+      last.end += HOUR;
+      last.prices.push(price);
+    } else {
+      blocks.push({ start, end: start + HOUR, prices: [price] });
+    }
+  }
+
+  return blocks.map(({ start, end, prices: blockPrices }) => ({
+    // A block in the current hour starts now
+    start: Math.max(start, now),
+    end,
+    hours: blockPrices.length,
+    price: blockPrices.reduce((sum, price) => sum + price, 0) / blockPrices.length,
+  }));
+}
+
+/**
+ * Heats the boiler in the cheapest hours of a dynamic tariff. A flow hands
+ * over the prices; the planned blocks are stored on the device and carried
+ * out with timers that are restored when the app restarts.
+ */
+class PriceScheduler {
+
+  constructor({ device }) {
+    this.device = device;
+    this._timeout = null;
+  }
+
+  log(...args) {
+    this.device.log('[Prices]', ...args);
+  }
+
+  error(...args) {
+    this.device.error('[Prices]', ...args);
+  }
+
+  getSchedule() {
+    return this.device.getStoreValue('priceSchedule');
+  }
+
+  // Next moment (ms) a local time like 07:00 (in minutes) occurs
+  getDeadline(minutes, now = Date.now()) {
+    return getNextTime(this.device.homey.clock.getTimezone(), minutes, now);
+  }
+
+  // Local time of a timestamp, e.g. '02:00'
+  formatLocal(time) {
+    return formatTime(getLocalTime(this.device.homey.clock.getTimezone(), new Date(time)).minutes);
+  }
+
+  // The planned blocks as local times, e.g. '02:00-04:00, 13:00-14:00'
+  describe(blocks) {
+    return blocks.map(({ start, end }) => `${this.formatLocal(start)}-${this.formatLocal(end)}`).join(', ');
+  }
+
+  /**
+   * Plan heating in the cheapest hours before the deadline (minutes after
+   * midnight) and start carrying out the plan
+   */
+  async plan(pricesText, hours, deadlineMinutes) {
+    const deadline = this.getDeadline(deadlineMinutes);
+    const blocks = planCheapestHours(parsePrices(pricesText), hours, deadline);
+
+    // A new plan takes over from a running one, including whether it heats
+    const previous = this.getSchedule();
+    const schedule = { blocks, deadline, heating: !!(previous && previous.heating) };
+
+    this.log(`Planned ${hours} hours before ${new Date(deadline).toISOString()}: ${this.describe(blocks)}`);
+    await this.device.setStoreValue('priceSchedule', schedule);
+    await this.device.setCapabilityValue('price_schedule', this.describe(blocks));
+
+    const total = blocks.reduce((sum, block) => sum + block.price * block.hours, 0);
+    this.device.driver.triggerPriceSchedulePlanned(this.device, {
+      schedule: this.describe(blocks),
+      first_start: this.formatLocal(blocks[0].start),
+      average_price: Math.round((total / hours) * 10000) / 10000,
+    });
+
+    await this.run();
+    return schedule;
+  }
+
+  // Stop the plan, switching the boiler off when the plan switched it on
+  async cancel() {
+    const schedule = this.getSchedule();
+    this._clearTimeout();
+
+    if (schedule && schedule.heating) {
+      await this.device.onCapabilityBoilerMode(false);
+    }
+    await this._finish();
+  }
+
+  /**
+   * Switch the boiler to what the plan wants now and set a timer for the
+   * next change. Also called after a restart.
+   */
+  async run() {
+    this._clearTimeout();
+
+    const schedule = this.getSchedule();
+    if (!schedule) {
+      return;
+    }
+
+    const now = Date.now();
+    const block = schedule.blocks.find(({ start, end }) => start <= now && now < end);
+    const heating = !!block;
+
+    if (heating !== schedule.heating) {
+      this.log(`Switching boiler ${heating ? 'on' : 'off'} as planned`);
+      await this.device.onCapabilityBoilerMode(heating);
+      schedule.heating = heating;
+      await this.device.setStoreValue('priceSchedule', schedule);
+    }
+
+    const next = heating ? block.end : schedule.blocks.map(({ start }) => start).find((start) => start > now);
+    if (next === undefined) {
+      this.log('Price schedule finished');
+      await this._finish();
+      return;
+    }
+
+    this._scheduleRun(next - now);
+  }
+
+  _scheduleRun(delay) {
+    this._clearTimeout();
+    this._timeout = this.device.homey.setTimeout(() => {
+      this._timeout = null;
+      this.run().catch((err) => {
+        this.error('Failed to carry out the price schedule, trying again:', err);
+        this._scheduleRun(MINUTE);
+      });
+    }, delay);
+  }
+
+  stop() {
+    this._clearTimeout();
+  }
+
+  _clearTimeout() {
+    if (this._timeout) {
+      this.device.homey.clearTimeout(this._timeout);
+      this._timeout = null;
+    }
+  }
+
+  async _finish() {
+    await this.device.unsetStoreValue('priceSchedule');
+    await this.device.setCapabilityValue('price_schedule', null);
+  }
+
+}
+
+module.exports = PriceScheduler;
+module.exports.parsePrices = parsePrices;
+module.exports.planCheapestHours = planCheapestHours;
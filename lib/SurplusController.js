@@ -0,0 +1,197 @@
+'use strict';
+
+const { getLocalTime, parseTime } = require('./LocalTime');
+
+const MINUTE = 60 * 1000;
+
+// A grid export report older than this no longer counts as surplus
+const EXPORT_MAX_AGE = 15 * MINUTE;
+
+/**
+ * Heats the boiler with solar power. Flows report the current grid export;
+ * the boiler is switched on (dhwMode AUTO) when the export exceeds the start
+ * threshold and off again when it drops below the stop threshold, with a
+ * minimum on and off time in between. A daily fallback heats the boiler
+ * before a deadline when the sun didn't get it warm enough. Without recent
+ * export reports the boiler is left as it is.
+ *
+ * The weekly schedule, the price plan and the hot water plan switch the
+ * boiler at their own moments and leave it alone in between. This controller
+ * decides after every poll, so it treats a boiler mode changed since its own
+ * last switch, by hand or by one of the others, as an override: the mode
+ * holds until the controller wants the same mode, and the controller takes
+ * over from there with its minimum times counting from that change.
+ */
+class SurplusController {
+
+  constructor({ device }) {
+    this.device = device;
+
+    // Last reported grid export in W and when it was reported
+    this.export = null;
+    this.exportAt = 0;
+
+    // Last decision, to report only changes
+    this.decision = null;
+
+    // Running evaluation, so export reports and polls don't switch twice
+    this._evaluatePromise = null;
+  }
+
+  log(...args) {
+    this.device.log('[Surplus]', ...args);
+  }
+
+  error(...args) {
+    this.device.error('[Surplus]', ...args);
+  }
+
+  isEnabled() {
+    return !!this.device.getSetting('surplus_enabled');
+  }
+
+  /**
+   * Called by the flow action with the current grid export in W, negative
+   * when importing
+   */
+  async setExport(power) {
+    this.export = power;
+    this.exportAt = Date.now();
+    return this.evaluate();
+  }
+
+  // Last export, or null when it is too old to act on
+  getExport() {
+    if (this.export === null || Date.now() - this.exportAt > EXPORT_MAX_AGE) {
+      return null;
+    }
+    return this.export;
+  }
+
+  // True while the boiler is below the fallback temperature in the period
+  // before the fallback deadline
+  isFallbackActive(settings) {
+    if (!settings.surplus_fallback_enabled) {
+      return false;
+    }
+
+    const deadline = parseTime(settings.surplus_fallback_time);
+    if (deadline === null) {
+      return false;
+    }
+
+    const boilerTemp = this.device.getCapabilityValue('measure_temperature.boiler');
+    if (typeof boilerTemp !== 'number' || boilerTemp >= settings.surplus_fallback_temp) {
+      return false;
+    }
+
+    const { minutes } = getLocalTime(this.device.homey.clock.getTimezone());
+    const start = deadline - (settings.surplus_fallback_lead || 0);
+    return minutes >= start && minutes < deadline;
+  }
+
+  /**
+   * What the boiler should do now: { heating, reason }, before the minimum
+   * on and off times are applied
+   */
+  decide(heating, settings) {
+    if (this.isFallbackActive(settings)) {
+      return { heating: true, reason: 'fallback' };
+    }
+
+    const power = this.getExport();
+    if (power === null) {
+      return { heating, reason: 'no_data' };
+    }
+
+    // While heating, the boiler's own usage lowers the export, so it only
+    // stops below the lower stop threshold
+    if (heating) {
+      return power >= settings.surplus_stop_export
+        ? { heating: true, reason: 'surplus' }
+        : { heating: false, reason: 'no_surplus' };
+    }
+    return power >= settings.surplus_start_export
+      ? { heating: true, reason: 'surplus' }
+      : { heating: false, reason: 'no_surplus' };
+  }
+
+  /**
+   * Decide and switch the boiler when needed. Called for every export report
+   * and after every poll, so the fallback also works without reports.
+   */
+  evaluate() {
+    if (!this._evaluatePromise) {
+      this._evaluatePromise = this._evaluate().finally(() => {
+        this._evaluatePromise = null;
+      });
+    }
+    return this._evaluatePromise;
+  }
+
+  async _evaluate() {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const settings = this.device.getSettings();
+    const heating = this.device.getCapabilityValue('boiler_mode') === 'AUTO';
+    const wanted = this.decide(heating, settings);
+
+    let decision = { heating: wanted.heating, reason: wanted.reason, switched: false };
+    let lastSwitchAt = this.device.getStoreValue('surplusLastSwitchAt') || 0;
+
+    // The mode was changed outside the controller since it last switched
+    const changedAt = this.device.getStoreValue('boilerModeChangedAt') || 0;
+    if (changedAt > lastSwitchAt) {
+      // Keeping the mode for lack of reports is no reason to take over
+      if (wanted.heating !== heating || wanted.reason === 'no_data') {
+        decision = { heating, reason: 'override', switched: false };
+        this.report(decision);
+        return decision;
+      }
+      this.log('Boiler mode agrees with the controller again, taking over');
+      lastSwitchAt = changedAt;
+      await this.device.setStoreValue('surplusLastSwitchAt', lastSwitchAt);
+    }
+
+    if (wanted.heating !== heating) {
+      const minTime = (heating ? settings.surplus_min_on_time : settings.surplus_min_off_time) * MINUTE;
+
+      if (Date.now() - lastSwitchAt < minTime) {
+        decision = { heating, reason: heating ? 'min_on_time' : 'min_off_time', switched: false };
+      } else {
+        this.log(`Switching boiler ${wanted.heating ? 'on' : 'off'} (${wanted.reason})`);
+        await this.device.setDhwMode(wanted.heating ? 'AUTO' : 'OFF');
+        await this.device.setStoreValue('surplusLastSwitchAt', Date.now());
+        decision.switched = true;
+      }
+    }
+
+    this.report(decision);
+    return decision;
+  }
+
+  // Let flows know when the decision or its reason changed
+  report(decision) {
+    const previous = this.decision;
+    this.decision = decision;
+
+    if (previous
+      && !decision.switched
+      && previous.heating === decision.heating
+      && previous.reason === decision.reason) {
+      return;
+    }
+
+    this.device.driver.triggerSurplusDecision(this.device, {
+      heating: decision.heating,
+      switched: decision.switched,
+      reason: decision.reason,
+      export: this.getExport() ?? 0,
+    });
+  }
+
+}
+
+module.exports = SurplusController;
@@ -0,0 +1,15 @@
+'use strict';
+
+/**
+ * Thrown when the client cannot obtain a valid access token.
+ */
+class TripleSolarAuthError extends Error {
+
+  constructor(message) {
+    super(message);
+    this.name = 'TripleSolarAuthError';
+  }
+
+}
+
+module.exports = TripleSolarAuthError;
@@ -0,0 +1,422 @@
+'use strict';
+
+const fetch = require('node-fetch');
+const TripleSolarAuthError = require('./TripleSolarAuthError');
+
+const TRIPLESOLAR_ORIGIN = 'https://app.triplesolar.eu';
+const TRIPLESOLAR_API = `${TRIPLESOLAR_ORIGIN}/graphql`;
+const TRIPLESOLAR_AUTH = `${TRIPLESOLAR_ORIGIN}/auth`;
+
+// Tokens without a readable expiry are not renewed again within this window
+const RECENT_AUTH_WINDOW = 5 * 60 * 1000;
+
+// Renew the access token this long before it expires
+const RENEW_BEFORE_EXPIRY = 5 * 60 * 1000;
+
+// Retry a failed scheduled renewal after this delay
+const RENEW_RETRY_DELAY = 60 * 1000;
+
+// Longer timers overflow and fire at once, so far-off renewals are checked
+// again after this delay instead
+const MAX_RENEW_DELAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Read the expiry (in ms) from the `exp` claim of a JWT, or null when the
+ * token can't be decoded.
+ */
+function getTokenExpiry(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64').toString('utf8'));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Accounts are keyed by their e-mail address, compared case-insensitively
+ */
+function getAccountId(username) {
+  return username.trim().toLowerCase();
+}
+
+/**
+ * Mask an email address for logs and the settings page, e.g. jo***@example.com
+ */
+function maskUsername(username) {
+  return username.replace(/(.{2})(.*)(@.*)/, '$1***$3');
+}
+
+/**
+ * Client for one TripleSolar account, shared by the app, every device of
+ * that account and the pairing session. Only one login or token refresh
+ * runs at a time; concurrent callers wait for the same result.
+ */
+class TripleSolarClient {
+
+  constructor({ app, accountId, credentials }) {
+    this.app = app;
+    this.accountId = accountId;
+    this.credentials = credentials || null;
+
+    // Pending login or refresh, shared by everyone who needs new tokens
+    this._authPromise = null;
+
+    // Timer that renews the access token shortly before it expires
+    this._renewTimeout = null;
+  }
+
+  log(...args) {
+    this.app.log(`[Client ${maskUsername(this.accountId)}]`, ...args);
+  }
+
+  error(...args) {
+    this.app.error(`[Client ${maskUsername(this.accountId)}]`, ...args);
+  }
+
+  getAccessToken() {
+    return this.credentials ? this.credentials.accessToken : null;
+  }
+
+  hasTokens() {
+    return !!(this.credentials && this.credentials.accessToken && this.credentials.refreshToken);
+  }
+
+  // Expiry of the current access token in ms, or null when unknown
+  getAccessTokenExpiry() {
+    if (!this.credentials) {
+      return null;
+    }
+    return this.credentials.expiresAt || getTokenExpiry(this.credentials.accessToken);
+  }
+
+  // True when the access token can still be used for a while
+  _accessTokenValid() {
+    if (!this.hasTokens()) {
+      return false;
+    }
+
+    const expiresAt = this.getAccessTokenExpiry();
+    if (expiresAt) {
+      return expiresAt - RENEW_BEFORE_EXPIRY > Date.now();
+    }
+
+    const age = Date.now() - (this.credentials.lastRefresh || this.credentials.timestamp || 0);
+    return age < RECENT_AUTH_WINDOW;
+  }
+
+  /**
+   * Start the renewal timer for the stored tokens. Called once when the app
+   * starts; after that every token update reschedules it.
+   */
+  start() {
+    this._scheduleRenewal();
+  }
+
+  stop() {
+    if (this._renewTimeout) {
+      this.app.homey.clearTimeout(this._renewTimeout);
+      this._renewTimeout = null;
+    }
+  }
+
+  _scheduleRenewal(delay) {
+    this.stop();
+
+    if (!this.hasTokens()) {
+      return;
+    }
+
+    if (delay === undefined) {
+      const expiresAt = this.getAccessTokenExpiry();
+      if (!expiresAt) {
+        // Without an expiry we fall back to renewing after a 401
+        return;
+      }
+      delay = Math.max(expiresAt - RENEW_BEFORE_EXPIRY - Date.now(), 0);
+    }
+
+    if (delay > MAX_RENEW_DELAY) {
+      this.log(`Next token renewal in ${Math.round(delay / 1000)}s, checking again in ${MAX_RENEW_DELAY / 1000}s`);
+      this._renewTimeout = this.app.homey.setTimeout(() => {
+        this._renewTimeout = null;
+        this._scheduleRenewal();
+      }, MAX_RENEW_DELAY);
+      return;
+    }
+
+    this.log(`Next token renewal in ${Math.round(delay / 1000)}s`);
+    this._renewTimeout = this.app.homey.setTimeout(() => {
+      this._renewTimeout = null;
+      this.refresh()
+        .then((renewed) => {
+          if (!renewed && this.hasTokens()) {
+            this._scheduleRenewal(RENEW_RETRY_DELAY);
+          }
+        })
+        .catch((err) => this.error('Scheduled token renewal failed:', err));
+    }, delay);
+  }
+
+  // Common headers for every request to the TripleSolar backend
+  _headers(accessToken) {
+    const headers = {
+      accept: '*/*',
+      'content-type': 'application/json',
+      origin: TRIPLESOLAR_ORIGIN,
+      'user-agent': 'Homey/TripleSolar',
+    };
+
+    if (accessToken) {
+      headers.authorization = `Bearer ${accessToken}`;
+    }
+
+    return headers;
+  }
+
+  // POST a JSON body and return { status, text, json }
+  async _post(url, body, accessToken) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: this._headers(accessToken),
+      body: JSON.stringify(body),
+    });
+
+    const text = await response.text();
+
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (jsonError) {
+      // Callers decide what a non-JSON response means
+    }
+
+    return { status: response.status, text, json };
+  }
+
+  // Log an authentication failure and keep it for the settings page
+  _authFailed(message, ...args) {
+    this.error(message, ...args);
+    this.app.recordAuthError(this.accountId, message);
+  }
+
+  // Run fn unless another login or refresh is already running, in which case
+  // wait for that one instead
+  _singleFlight(fn) {
+    if (!this._authPromise) {
+      this._authPromise = fn().finally(() => {
+        this._authPromise = null;
+      });
+    }
+    return this._authPromise;
+  }
+
+  async _storeTokens(result, username) {
+    const previous = this.credentials || {};
+    const now = Date.now();
+
+    this.credentials = {
+      username: username || previous.username,
+      accessToken: result.accessToken,
+      refreshToken: result.refreshToken || previous.refreshToken,
+      expiresAt: getTokenExpiry(result.accessToken),
+      lastRefresh: now,
+      timestamp: now,
+    };
+
+    await this.app.storeCredentials(this.accountId, this.credentials);
+    this._scheduleRenewal();
+  }
+
+  /**
+   * Log in with username and password. Waits for any running refresh first,
+   * so the new tokens are never overwritten by a stale one. The password is
+   * only sent to the backend, never stored.
+   */
+  async login(username, password) {
+    if (this._authPromise) {
+      await this._authPromise.catch(() => {});
+    }
+    return this._singleFlight(() => this._login(username, password));
+  }
+
+  async _login(username, password) {
+    if (!username || !password) {
+      this._authFailed('Cannot login, username or password is missing');
+      return false;
+    }
+
+    this.log(`Logging in with username: ${maskUsername(username)}`);
+
+    try {
+      const { status, text, json } = await this._post(`${TRIPLESOLAR_AUTH}/login`, {
+        email: username,
+        password,
+      });
+
+      this.log(`Login response status: ${status} (${text.length} characters)`);
+
+      if (!json) {
+        this._authFailed('Could not parse login response as JSON');
+        return false;
+      }
+
+      if (!json.accessToken || !json.refreshToken) {
+        this._authFailed(status === 401 || status === 400
+          ? 'Login rejected, please check your e-mail and password'
+          : 'No access or refresh token in login response');
+        return false;
+      }
+
+      await this._storeTokens(json, username);
+
+      this.log('Login successful');
+      return true;
+    } catch (error) {
+      this._authFailed(`Login failed: ${error.message}`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Exchange the refresh token for a new token pair. When the refresh token
+   * is rejected it is dropped and the user has to log in again through the
+   * repair flow; other failures are retried by the renewal timer.
+   */
+  refresh() {
+    return this._singleFlight(() => this._refresh());
+  }
+
+  async _refresh() {
+    const credentials = this.credentials || {};
+
+    if (!credentials.refreshToken) {
+      this.log('No refreshToken available');
+      this.app.onAuthenticationRequired(this.accountId);
+      return false;
+    }
+
+    try {
+      this.log('Refreshing access token with refreshToken...');
+      const { status, text, json } = await this._post(`${TRIPLESOLAR_AUTH}/refresh`, {
+        refreshToken: credentials.refreshToken,
+      });
+
+      this.log(`Token refresh response status: ${status} (${text.length} characters)`);
+
+      if (status === 401
+        || text.includes('incorrect token')
+        || text.includes('invalid token')) {
+        this._authFailed('Token refresh failed: invalid or expired refreshToken');
+        await this._dropRefreshToken();
+        this.app.onAuthenticationRequired(this.accountId);
+        return false;
+      }
+
+      if (!json || !json.accessToken) {
+        this._authFailed('No accessToken in refresh response');
+        return false;
+      }
+
+      await this._storeTokens(json);
+
+      this.log('AccessToken successfully refreshed');
+      return true;
+    } catch (error) {
+      this._authFailed(`Error while refreshing token: ${error.message}`, error);
+      return false;
+    }
+  }
+
+  // Forget a rejected refresh token, so the account shows as logged out and
+  // nothing retries it until the next login
+  async _dropRefreshToken() {
+    this.stop();
+    this.credentials.refreshToken = null;
+    await this.app.storeCredentials(this.accountId, this.credentials);
+  }
+
+  /**
+   * Make sure usable tokens are available. An access token that has not
+   * expired yet is used as is; otherwise the refresh token is exchanged.
+   * Resolves to false when the account needs new credentials.
+   */
+  async authenticate() {
+    if (!this._authPromise && this._accessTokenValid()) {
+      return true;
+    }
+    return this.refresh();
+  }
+
+  /**
+   * Run a GraphQL operation and return the parsed response. On a 401 the
+   * tokens are renewed once (or taken over from a renewal that finished in
+   * the meantime) and the call is retried.
+   */
+  async query(operationName, variables, query) {
+    const body = { operationName, variables, query };
+
+    // Without a refresh token only a new login helps
+    if (!this.hasTokens()) {
+      throw new TripleSolarAuthError('Not logged in, please log in again');
+    }
+
+    // Wait for a running refresh so we don't send a token that is being
+    // replaced, and renew first when the timer didn't get to it in time
+    if (this._authPromise) {
+      await this._authPromise.catch(() => {});
+    } else if (!this._accessTokenValid()) {
+      await this.refresh();
+    }
+
+    const usedToken = this.getAccessToken();
+    const startTime = Date.now();
+    let response = await this._post(TRIPLESOLAR_API, body, usedToken);
+    this.log(`API ${operationName || 'query'} completed in ${Date.now() - startTime}ms with status: ${response.status}`);
+
+    if (response.status === 401) {
+      this.log(`Received 401 unauthorized for ${operationName}`);
+
+      // Only renew when nobody else did so since our request was sent
+      if (this.getAccessToken() === usedToken) {
+        const renewed = await this.refresh();
+        if (!renewed) {
+          throw new TripleSolarAuthError('Authentication failed, token could not be renewed');
+        }
+      }
+
+      response = await this._post(TRIPLESOLAR_API, body, this.getAccessToken());
+      this.log(`Retry API ${operationName} response status: ${response.status}`);
+
+      if (response.status === 401) {
+        throw new TripleSolarAuthError('Authentication failed after renewing token');
+      }
+    }
+
+    if (response.status !== 200) {
+      this.log(`API response content: ${response.text.substring(0, 200)}...`);
+    }
+
+    if (!response.json) {
+      throw new Error(`Invalid JSON in API response: ${response.text.substring(0, 100)}`);
+    }
+
+    return response.json;
+  }
+
+}
+
+module.exports = TripleSolarClient;
+module.exports.TripleSolarAuthError = TripleSolarAuthError;
+module.exports.getTokenExpiry = getTokenExpiry;
+module.exports.maskUsername = maskUsername;
+module.exports.getAccountId = getAccountId;
@@ -0,0 +1,289 @@
+'use strict';
+
+const { maskUsername } = require('./TripleSolarClient');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Wait this long after a device registers, so devices starting together
+// share their first poll
+const REGISTER_DELAY = 2 * 1000;
+
+// Fields read for every interface on each poll
+const HEAT_PUMP_SETTINGS_FRAGMENT = `fragment HeatPumpSettings on Interface {
+  id
+  firmwareVersion {
+    version
+    timestamp
+    __typename
+  }
+  controller {
+    backupHeater
+    chSetpMaxTemp
+    manualCoolingMode
+    __typename
+  }
+  name
+  openThermBoilerConnected
+  pvtHeatPump {
+    id
+    firmwareVersion
+    dhwMode
+    roomTemperatureControl
+    roomControlType
+    shBackupEnable
+    sinkMinShTemp
+    sinkMaxShTemp
+    flushingMode
+    dhwAutoTemp
+    shRoomSetpTemp
+    shRoomHysteresisTemp
+    scRoomSetpTemp
+    scRoomHysteresisTemp
+    sinkCoolingPauseThresholdTemp
+    dhwState
+    spaceHeatingCoolingState
+    shBoostEnabled
+    dhwBoostEnabled
+    boostSourceTemp
+    errors
+    dhwBoilerTemp
+    compressorOn
+    electricElementOn
+    coolingValveEnabled
+    pumpRelayOn
+    sourcePumpPerc
+    sinkPumpPerc
+    sourceInTemp
+    sourceOutTemp
+    sinkInTemp
+    sinkOutTemp
+    compressorDischarge
+    __typename
+  }
+  openTherm {
+    roomTemp
+    roomSetpTemp
+    __typename
+  }
+  status {
+    signalStrength
+    operatorName
+    __typename
+  }
+  __typename
+}`;
+
+/**
+ * Polls all interfaces of one account in a single GraphQL request and hands
+ * every registered device its own part of the result. The interval is the
+ * shortest one any device asks for, limited by the smallest request budget.
+ */
+class TripleSolarPoller {
+
+  constructor({ app, client }) {
+    this.app = app;
+    this.client = client;
+
+    this.devices = new Set();
+
+    // Start times of polls in the last hour, to stay within the request budget
+    this.pollHistory = [];
+
+    this._pollTimeout = null;
+    this._nextPollAt = null;
+
+    // Running poll, shared when another poll is requested meanwhile
+    this._pollPromise = null;
+  }
+
+  log(...args) {
+    this.app.log(`[Poller ${maskUsername(this.client.accountId)}]`, ...args);
+  }
+
+  error(...args) {
+    this.app.error(`[Poller ${maskUsername(this.client.accountId)}]`, ...args);
+  }
+
+  register(device) {
+    if (this.devices.has(device)) {
+      return;
+    }
+
+    this.devices.add(device);
+    this.requestPoll(REGISTER_DELAY);
+  }
+
+  unregister(device) {
+    this.devices.delete(device);
+
+    if (!this.devices.size) {
+      this.log('No devices left, polling stopped');
+      this._clearTimeout();
+    }
+  }
+
+  // Shortest interval any device asks for. Settings passed for a device
+  // replace its stored settings, for changes that are not saved yet.
+  getInterval(device, settings) {
+    let interval = Infinity;
+    for (const d of this.devices) {
+      interval = Math.min(interval, d.getPollInterval(d === device ? settings : undefined));
+    }
+    return interval;
+  }
+
+  // Smallest number of polls per hour any device allows
+  getBudget(device, settings) {
+    let budget = Infinity;
+    for (const d of this.devices) {
+      const deviceBudget = (d === device ? settings : d.getSettings()).max_polls_per_hour;
+      if (deviceBudget) {
+        budget = Math.min(budget, deviceBudget);
+      }
+    }
+    return budget;
+  }
+
+  // Postpone a poll when it would exceed the number of polls allowed per hour
+  applyBudget(delay, budget) {
+    const now = Date.now();
+    this.pollHistory = this.pollHistory.filter((timestamp) => now - timestamp < HOUR);
+
+    if (this.pollHistory.length < budget) {
+      return delay;
+    }
+
+    // Wait until the oldest poll that counts against the budget is an hour old
+    const oldest = this.pollHistory[this.pollHistory.length - budget];
+    return Math.max(delay, oldest + HOUR - now);
+  }
+
+  /**
+   * Poll within `delay` ms, unless a poll is already planned before that
+   */
+  requestPoll(delay) {
+    if (this._pollTimeout && this._nextPollAt <= Date.now() + delay) {
+      return;
+    }
+    this._schedule(delay);
+  }
+
+  /**
+   * Plan the next poll from the current intervals, e.g. after a settings change
+   */
+  reschedule(device, settings) {
+    this._schedule(this.getInterval(device, settings), device, settings);
+  }
+
+  _clearTimeout() {
+    this.app.homey.clearTimeout(this._pollTimeout);
+    this._pollTimeout = null;
+    this._nextPollAt = null;
+  }
+
+  _schedule(delay, device, settings) {
+    this._clearTimeout();
+
+    if (!this.devices.size) {
+      return;
+    }
+
+    delay = this.applyBudget(delay, this.getBudget(device, settings));
+    this.log(`Next poll in ${Math.round(delay / 1000)}s`);
+
+    this._nextPollAt = Date.now() + delay;
+    this._pollTimeout = this.app.homey.setTimeout(() => {
+      this._pollTimeout = null;
+      this._nextPollAt = null;
+      this.poll()
+        .catch((err) => {
+          this.error('Poll error:', err);
+        })
+        .finally(() => {
+          // A poll requested while this one ran takes precedence
+          if (!this._pollTimeout) {
+            this.reschedule();
+          }
+        });
+    }, delay);
+  }
+
+  /**
+   * Fetch every registered interface in one request and update the devices
+   */
+  poll() {
+    if (!this._pollPromise) {
+      this._pollPromise = this._poll().finally(() => {
+        this._pollPromise = null;
+      });
+    }
+    return this._pollPromise;
+  }
+
+  async _poll() {
+    const devices = [...this.devices];
+    if (!devices.length) {
+      return;
+    }
+
+    const polledAt = Date.now();
+    this.pollHistory.push(polledAt);
+
+    // One aliased interface field per device
+    const variables = {};
+    const definitions = [];
+    const fields = [];
+    devices.forEach((device, index) => {
+      variables[`interfaceId${index}`] = device.interfaceId;
+      definitions.push(`$interfaceId${index}: String!`);
+      fields.push(`interface${index}: interface(interfaceId: $interfaceId${index}) {
+    ...HeatPumpSettings
+  }`);
+    });
+
+    let result;
+    try {
+      result = await this.client.query(
+        'ReadHeatPumpSettings',
+        variables,
+        `query ReadHeatPumpSettings(${definitions.join(', ')}) {
+  ${fields.join('\n  ')}
+}
+
+${HEAT_PUMP_SETTINGS_FRAGMENT}`,
+      );
+    } catch (error) {
+      for (const device of devices) {
+        await device.onPollError(error).catch((err) => this.error('Failed to handle poll error:', err));
+      }
+      return;
+    }
+
+    if (result.errors) {
+      this.log('GraphQL errors:', JSON.stringify(result.errors));
+    }
+
+    const data = result.data || {};
+    for (const [index, device] of devices.entries()) {
+      // Skip devices that were deleted while the request ran
+      if (!this.devices.has(device)) {
+        continue;
+      }
+
+      const interfaceObj = data[`interface${index}`];
+      try {
+        if (interfaceObj) {
+          await device.onPollData(interfaceObj, polledAt);
+        } else {
+          await device.onPollError(new Error(`No data for interface ${device.interfaceId}`));
+        }
+      } catch (error) {
+        this.error(`Failed to update ${device.getName()}:`, error);
+      }
+    }
+  }
+
+}
+
+module.exports = TripleSolarPoller;
@@ -0,0 +1,218 @@
+'use strict';
+
+const { MINUTES_PER_DAY, getLocalTime, parseTime } = require('./LocalTime');
+
+const MINUTE = 60 * 1000;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+// Setting with the windows of each weekday, indexed like Date#getDay()
+const DAY_SETTINGS = ['schedule_sun', 'schedule_mon', 'schedule_tue', 'schedule_wed', 'schedule_thu', 'schedule_fri', 'schedule_sat'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Try again after this delay when the boiler mode could not be changed
+const RETRY_DELAY = MINUTE;
+
+/**
+ * Read the windows of one day, e.g. '06:00-08:00, 11:00-16:00', into
+ * [[start, end]] in minutes after midnight. A window that ends before it
+ * starts runs past midnight; 00:00-24:00 and 00:00-00:00 are the whole day.
+ */
+function parseWindows(text) {
+  if (!text || !text.trim()) {
+    return [];
+  }
+
+  return text.split(',').map((part) => {
+    const times = part.split('-');
+    const start = parseTime(times[0]);
+    const end = times.length === 2 && /^\s*24:00\s*$/.test(times[1]) ? MINUTES_PER_DAY : parseTime(times[1]);
+    if (times.length !== 2 || start === null || end === null) {
+      throw new Error(`Invalid time window "${part.trim()}", use e.g. 11:00-16:00`);
+    }
+    return [start, end];
+  });
+}
+
+/**
+ * Check the windows of every day, throwing an error naming the day
+ */
+function validateSchedule(settings) {
+  DAY_SETTINGS.forEach((key, day) => {
+    try {
+      parseWindows(settings[key]);
+    } catch (error) {
+      throw new Error(`${DAY_NAMES[day]}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * The windows of the week as [[start, end]] in minutes after Sunday
+ * midnight, sorted, with overlapping and touching windows merged. The end of
+ * a window running into next week lies past MINUTES_PER_WEEK.
+ */
+function getWeekIntervals(settings) {
+  const intervals = [];
+  DAY_SETTINGS.forEach((key, day) => {
+    for (const [start, end] of parseWindows(settings[key])) {
+      // A window that ends where it starts lasts a full day
+      const length = ((end - start + MINUTES_PER_DAY - 1) % MINUTES_PER_DAY) + 1;
+      const startAt = day * MINUTES_PER_DAY + start;
+      intervals.push([startAt, startAt + length]);
+    }
+  });
+  intervals.sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const [start, end] of intervals) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+
+  // A window running into next week may overlap the first ones of the week
+  const last = merged[merged.length - 1];
+  while (merged.length > 1 && merged[0][0] + MINUTES_PER_WEEK <= last[1]) {
+    const [, end] = merged.shift();
+    last[1] = Math.max(last[1], end + MINUTES_PER_WEEK);
+  }
+
+  return merged;
+}
+
+/**
+ * Boiler mode changes of the week: [{ at, mode }] with `at` in minutes after
+ * Sunday midnight, sorted. A schedule that is on all week starts again every
+ * Sunday midnight.
+ */
+function getWeekEvents(settings) {
+  const intervals = getWeekIntervals(settings);
+  if (intervals.length === 1 && intervals[0][1] - intervals[0][0] >= MINUTES_PER_WEEK) {
+    return [{ at: 0, mode: 'AUTO' }];
+  }
+
+  return intervals
+    .flatMap(([start, end]) => [{ at: start, mode: 'AUTO' }, { at: end % MINUTES_PER_WEEK, mode: 'OFF' }])
+    .sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Switches the boiler between AUTO and OFF on a weekly schedule from the
+ * device settings. Modes are only applied when a window starts or ends, so a
+ * mode changed in between, by hand or by another flow, holds until the next
+ * boundary. After a restart a missed boundary is applied right away.
+ */
+class WeeklyScheduler {
+
+  constructor({ device }) {
+    this.device = device;
+    this._timeout = null;
+
+    // Running evaluation, so timers and settings changes don't switch twice
+    this._evaluatePromise = null;
+  }
+
+  log(...args) {
+    this.device.log('[Schedule]', ...args);
+  }
+
+  error(...args) {
+    this.device.error('[Schedule]', ...args);
+  }
+
+  /**
+   * The boundary the schedule is in now and the next one:
+   * { mode, periodStart, nextIn } with nextIn in ms, or null without windows
+   */
+  getPeriod(settings, now = Date.now()) {
+    const events = getWeekEvents(settings);
+    if (!events.length) {
+      return null;
+    }
+
+    const local = getLocalTime(this.device.homey.clock.getTimezone(), new Date(now));
+    const weekMinute = local.weekday * MINUTES_PER_DAY + local.minutes;
+    const startOfMinute = now - (now % MINUTE);
+
+    // The last event at or before now, wrapping around to last week
+    const last = [...events].reverse().find(({ at }) => at <= weekMinute) || events[events.length - 1];
+    const next = events.find(({ at }) => at > weekMinute) || events[0];
+
+    const sinceLast = (weekMinute - last.at + MINUTES_PER_WEEK) % MINUTES_PER_WEEK;
+    const untilNext = (next.at - weekMinute + MINUTES_PER_WEEK) % MINUTES_PER_WEEK || MINUTES_PER_WEEK;
+
+    return {
+      mode: last.mode,
+      periodStart: startOfMinute - sinceLast * MINUTE,
+      nextIn: startOfMinute + untilNext * MINUTE - now,
+    };
+  }
+
+  /**
+   * Apply the mode of the current window when a boundary was passed since the
+   * last time, and wait for the next one. Settings passed replace the stored
+   * settings, for changes that are not saved yet.
+   */
+  evaluate(settings) {
+    if (!this._evaluatePromise) {
+      this._evaluatePromise = this._evaluate(settings).finally(() => {
+        this._evaluatePromise = null;
+      });
+    }
+    return this._evaluatePromise;
+  }
+
+  async _evaluate(settings = this.device.getSettings()) {
+    this.stop();
+
+    if (!settings.schedule_enabled) {
+      return;
+    }
+
+    const period = this.getPeriod(settings);
+    if (!period) {
+      return;
+    }
+
+    if (this.device.getStoreValue('schedulePeriodStart') !== period.periodStart) {
+      try {
+        this.log(`Window boundary passed, switching boiler to ${period.mode}`);
+        await this.device.setDhwMode(period.mode);
+        await this.device.setStoreValue('schedulePeriodStart', period.periodStart);
+      } catch (error) {
+        this.error('Failed to apply the schedule, trying again:', error);
+        this._scheduleEvaluate(RETRY_DELAY);
+        return;
+      }
+    } else if (this.device.getCapabilityValue('boiler_mode') !== period.mode) {
+      this.log(`Boiler mode changed outside the schedule, holding until the next boundary in ${Math.round(period.nextIn / MINUTE)} minutes`);
+    }
+
+    this._scheduleEvaluate(period.nextIn);
+  }
+
+  _scheduleEvaluate(delay) {
+    this.stop();
+    this._timeout = this.device.homey.setTimeout(() => {
+      this._timeout = null;
+      this.evaluate().catch((err) => this.error('Schedule evaluation failed:', err));
+    }, delay);
+  }
+
+  stop() {
+    if (this._timeout) {
+      this.device.homey.clearTimeout(this._timeout);
+      this._timeout = null;
+    }
+  }
+
+}
+
+module.exports = WeeklyScheduler;
+module.exports.DAY_SETTINGS = DAY_SETTINGS;
+module.exports.parseWindows = parseWindows;
+module.exports.validateSchedule = validateSchedule;
+module.exports.getWeekEvents = getWeekEvents;